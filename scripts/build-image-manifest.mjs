@@ -0,0 +1,90 @@
+/**
+ * Image variant manifest builder for Sigua.io
+ * Groups the pre-cut WordPress sizes in static/picture (name-300x95.jpg,
+ * name-768x243.jpg, ...) with their original and records every file's
+ * dimensions, so static/js/images.js can build srcset without guessing
+ * which sizes exist.
+ *
+ * Usage (Node 20+, no dependencies):
+ *   node scripts/build-image-manifest.mjs
+ *
+ * Run it again whenever images are added to static/picture and commit
+ * the result; pages load it at runtime.
+ */
+
+import { readFileSync, readdirSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const IMAGE_DIR = 'static/picture';
+const OUTPUT = join(ROOT, 'static/data/images.json');
+
+const VARIANT = /^(.+)-(\d+)x(\d+)(\.[a-z]+)$/i;
+const EXTENSIONS = /\.(png|jpe?g)$/i;
+
+/**
+ * Width and height from a PNG or JPEG header
+ * @param {Buffer} data - File contents
+ * @returns {Array<number>|null} [width, height]
+ */
+function readSize(data) {
+    // PNG: IHDR is always the first chunk
+    if (data.toString('ascii', 12, 16) === 'IHDR') {
+        return [data.readUInt32BE(16), data.readUInt32BE(20)];
+    }
+
+    // JPEG: walk the segments up to the first start-of-frame marker
+    if (data[0] === 0xff && data[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < data.length) {
+            if (data[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+            const marker = data[offset + 1];
+            const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+            if (isFrame) {
+                return [data.readUInt16BE(offset + 7), data.readUInt16BE(offset + 5)];
+            }
+            offset += 2 + data.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @returns {Object} Original path -> [[path, width, height], ...] by width
+ */
+function collectGroups() {
+    const groups = new Map();
+
+    readdirSync(join(ROOT, IMAGE_DIR))
+        .filter(name => EXTENSIONS.test(name))
+        .forEach(name => {
+            const size = readSize(readFileSync(join(ROOT, IMAGE_DIR, name)));
+            if (!size) {
+                console.warn(`Skipped ${name}: unreadable header`);
+                return;
+            }
+
+            const variant = VARIANT.exec(name);
+            const base = `${IMAGE_DIR}/${variant ? variant[1] + variant[4] : name}`;
+            if (!groups.has(base)) groups.set(base, []);
+            groups.get(base).push([`${IMAGE_DIR}/${name}`, ...size]);
+        });
+
+    return Object.fromEntries([...groups]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([base, files]) => [base, files.sort((a, b) => a[1] - b[1])]));
+}
+
+const images = collectGroups();
+const json = JSON.stringify({ version: 1, images });
+
+mkdirSync(dirname(OUTPUT), { recursive: true });
+writeFileSync(OUTPUT, json);
+
+const files = Object.values(images).reduce((count, group) => count + group.length, 0);
+console.log(`Recorded ${files} files in ${Object.keys(images).length} groups (${(json.length / 1024).toFixed(1)} KB) -> ${relative(ROOT, OUTPUT)}`);
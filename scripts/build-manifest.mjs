@@ -0,0 +1,395 @@
+/**
+ * Web app manifest builder for Sigua.io
+ * Reads the app name, description, language, theme colour and icon from
+ * the <head> of index.html and writes manifest.webmanifest, so the
+ * installed app always matches the site metadata.
+ *
+ * The icon is resized to the 192px and 512px PNGs browsers need before
+ * they offer installation, plus a maskable variant that keeps the logo
+ * inside the safe zone, under static/picture/icons/.
+ *
+ * Usage (Node 20+, no dependencies):
+ *   node scripts/build-manifest.mjs
+ *
+ * Run it again whenever that metadata or the icon changes and commit
+ * the result; pages link it directly.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { deflateSync, inflateSync } from 'node:zlib';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = join(ROOT, 'index.html');
+const OUTPUT = join(ROOT, 'manifest.webmanifest');
+
+// Icons written next to the manifest; Chromium wants 192 and 512 before
+// it fires beforeinstallprompt
+const ICONS = [
+    { src: 'static/picture/icons/icon-192.png', size: 192, purpose: 'any' },
+    { src: 'static/picture/icons/icon-512.png', size: 512, purpose: 'any' },
+    { src: 'static/picture/icons/icon-maskable-512.png', size: 512, purpose: 'maskable' }
+];
+const REQUIRED_SIZES = [192, 512];
+
+// Share of a maskable icon the logo covers, so its artwork stays inside
+// the safe zone, a centred circle of 80%, once masks crop the corners
+const MASKABLE_LOGO_SCALE = 0.8;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * @param {string} head - HTML of the document head
+ * @param {string} name - Meta name
+ * @returns {string|null} Content attribute
+ */
+function getMeta(head, name) {
+    const tag = new RegExp(`<meta\\s+name="${name}"[^>]*>`, 'i').exec(head);
+    const content = tag && /content="([^"]*)"/i.exec(tag[0]);
+    return content ? content[1] : null;
+}
+
+/**
+ * @param {string} head - HTML of the document head
+ * @param {string} rel - Link relation
+ * @returns {string|null} Href attribute
+ */
+function getLink(head, rel) {
+    const tag = new RegExp(`<link\\s+rel="${rel}"[^>]*>`, 'i').exec(head);
+    const href = tag && /href="([^"]*)"/i.exec(tag[0]);
+    return href ? href[1] : null;
+}
+
+function required(value, what) {
+    if (!value) {
+        throw new Error(`index.html has no ${what}`);
+    }
+    return value;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced RGB or RGBA PNG
+ * @param {Buffer} data - PNG file
+ * @returns {Object} { width, height, pixels } with RGBA pixels
+ */
+function decodePng(data) {
+    if (!data.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('not a PNG');
+    }
+
+    let header = null;
+    const idat = [];
+    for (let offset = 8; offset < data.length;) {
+        const length = data.readUInt32BE(offset);
+        const type = data.toString('ascii', offset + 4, offset + 8);
+        const body = data.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'IDAT') {
+            idat.push(body);
+        }
+        offset += length + 12;
+    }
+
+    const channels = { 2: 3, 6: 4 }[header && header.colorType];
+    if (!channels || header.bitDepth !== 8 || header.interlace) {
+        throw new Error('only 8-bit non-interlaced RGB and RGBA PNGs are supported');
+    }
+
+    const { width, height } = header;
+    const raw = inflateSync(Buffer.concat(idat));
+    const stride = width * channels;
+    const rows = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = rows.subarray(y * stride, (y + 1) * stride);
+        const prev = y > 0 ? rows.subarray((y - 1) * stride, y * stride) : Buffer.alloc(stride);
+        for (let i = 0; i < stride; i++) {
+            const a = i >= channels ? out[i - channels] : 0;
+            const b = prev[i];
+            const c = i >= channels ? prev[i - channels] : 0;
+            out[i] = (line[i] + [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter]) & 0xff;
+        }
+    }
+
+    const pixels = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        pixels.set(rows.subarray(i * channels, i * channels + 3), i * 4);
+        pixels[i * 4 + 3] = channels === 4 ? rows[i * channels + 3] : 255;
+    }
+    return { width, height, pixels };
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, body) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const typed = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typed));
+    return Buffer.concat([length, typed, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG, Paeth-filtered
+ * @param {Object} image - { width, height, pixels }
+ * @returns {Buffer} PNG file
+ */
+function encodePng({ width, height, pixels }) {
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 4;
+        for (let i = 0; i < stride; i++) {
+            const at = y * stride + i;
+            const a = i >= 4 ? pixels[at - 4] : 0;
+            const b = y > 0 ? pixels[at - stride] : 0;
+            const c = i >= 4 && y > 0 ? pixels[at - stride - 4] : 0;
+            raw[y * (stride + 1) + 1 + i] = (pixels[at] - paeth(a, b, c)) & 0xff;
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Sampling weights along one axis, a triangle filter widened when shrinking
+ * @param {number} from - Source length
+ * @param {number} to - Target length
+ * @returns {Array<Array<Array<number>>>} Per target pixel, [source index, weight] pairs
+ */
+function axisWeights(from, to) {
+    const ratio = from / to;
+    const radius = Math.max(1, ratio);
+
+    return Array.from({ length: to }, (_, i) => {
+        const center = (i + 0.5) * ratio - 0.5;
+        const taps = [];
+        for (let j = Math.floor(center - radius) + 1; j <= Math.ceil(center + radius) - 1; j++) {
+            const weight = 1 - Math.abs(j - center) / radius;
+            if (weight > 0) {
+                taps.push([Math.min(from - 1, Math.max(0, j)), weight]);
+            }
+        }
+        const total = taps.reduce((sum, [, weight]) => sum + weight, 0);
+        return taps.map(([index, weight]) => [index, weight / total]);
+    });
+}
+
+/**
+ * Resize an image, blending in premultiplied alpha so transparent
+ * corners do not bleed dark fringes
+ * @param {Object} image - { width, height, pixels }
+ * @param {number} size - Target width and height
+ * @returns {Object} { width, height, pixels }
+ */
+function resize({ width, height, pixels }, size) {
+    const premultiplied = new Float64Array(pixels.length);
+    for (let i = 0; i < pixels.length; i += 4) {
+        const alpha = pixels[i + 3] / 255;
+        premultiplied[i] = pixels[i] * alpha;
+        premultiplied[i + 1] = pixels[i + 1] * alpha;
+        premultiplied[i + 2] = pixels[i + 2] * alpha;
+        premultiplied[i + 3] = pixels[i + 3];
+    }
+
+    const columns = axisWeights(width, size);
+    const rows = axisWeights(height, size);
+
+    const horizontal = new Float64Array(size * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < size; x++) {
+            for (const [sx, weight] of columns[x]) {
+                for (let c = 0; c < 4; c++) {
+                    horizontal[(y * size + x) * 4 + c] += premultiplied[(y * width + sx) * 4 + c] * weight;
+                }
+            }
+        }
+    }
+
+    const result = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const sum = [0, 0, 0, 0];
+            for (const [sy, weight] of rows[y]) {
+                for (let c = 0; c < 4; c++) {
+                    sum[c] += horizontal[(sy * size + x) * 4 + c] * weight;
+                }
+            }
+            const at = (y * size + x) * 4;
+            const alpha = sum[3] / 255;
+            for (let c = 0; c < 3; c++) {
+                result[at + c] = alpha ? Math.round(Math.min(255, sum[c] / alpha)) : 0;
+            }
+            result[at + 3] = Math.round(Math.min(255, sum[3]));
+        }
+    }
+    return { width: size, height: size, pixels: result };
+}
+
+/**
+ * Average colour of the opaque pixels along the icon's edges
+ * @param {Object} image - { width, height, pixels }
+ * @returns {Array<number>} [r, g, b]
+ */
+function edgeColor({ width, height, pixels }) {
+    const band = Math.round(Math.min(width, height) * 0.1);
+    const sum = [0, 0, 0];
+    let count = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inside = x >= band && x < width - band && y >= band && y < height - band;
+            const at = (y * width + x) * 4;
+            if (inside || pixels[at + 3] < 255) continue;
+            sum[0] += pixels[at];
+            sum[1] += pixels[at + 1];
+            sum[2] += pixels[at + 2];
+            count++;
+        }
+    }
+    return sum.map(value => Math.round(value / count));
+}
+
+/**
+ * Maskable icon: the logo, shrunk into the safe zone, over a full-bleed
+ * background in its own edge colour
+ * @param {Object} image - Source icon
+ * @param {number} size - Target width and height
+ * @returns {Object} { width, height, pixels }
+ */
+function makeMaskable(image, size) {
+    const [r, g, b] = edgeColor(image);
+    const logo = resize(image, Math.round(size * MASKABLE_LOGO_SCALE));
+    const offset = Math.round((size - logo.width) / 2);
+    const pixels = new Uint8Array(size * size * 4);
+
+    for (let i = 0; i < size * size; i++) {
+        pixels.set([r, g, b, 255], i * 4);
+    }
+    for (let y = 0; y < logo.height; y++) {
+        for (let x = 0; x < logo.width; x++) {
+            const from = (y * logo.width + x) * 4;
+            const to = ((y + offset) * size + x + offset) * 4;
+            const alpha = logo.pixels[from + 3] / 255;
+            for (let c = 0; c < 3; c++) {
+                pixels[to + c] = Math.round(logo.pixels[from + c] * alpha + pixels[to + c] * (1 - alpha));
+            }
+        }
+    }
+    return { width: size, height: size, pixels };
+}
+
+/**
+ * Build the manifest from the index.html source
+ * @param {string} html - index.html
+ * @param {Array<Object>} icons - { src, size, purpose } entries
+ * @returns {Object} Manifest
+ */
+function createManifest(html, icons = ICONS) {
+    const head = required(/<head>([\s\S]*?)<\/head>/i.exec(html), '<head>')[1];
+    const name = required(getMeta(head, 'application-name'), 'application-name meta');
+    const themeColor = required(getMeta(head, 'theme-color'), 'theme-color meta');
+    const lang = /<html\s[^>]*lang="([^"]+)"/i.exec(html);
+
+    return {
+        name,
+        short_name: name,
+        description: required(getMeta(head, 'description'), 'description meta'),
+        lang: lang ? lang[1] : 'zh-Hans',
+        start_url: './',
+        scope: './',
+        display: 'standalone',
+        theme_color: themeColor,
+        background_color: themeColor,
+        icons: icons.map(({ src, size, purpose }) => ({
+            src,
+            sizes: `${size}x${size}`,
+            type: 'image/png',
+            purpose
+        }))
+    };
+}
+
+/**
+ * Refuse manifests browsers would not offer to install
+ * @param {Object} manifest - Web app manifest
+ */
+function assertInstallable(manifest) {
+    const sizes = manifest.icons
+        .filter(icon => icon.type === 'image/png' && icon.purpose.split(' ').includes('any'))
+        .map(icon => icon.sizes);
+    const missing = REQUIRED_SIZES.filter(size => !sizes.includes(`${size}x${size}`));
+    if (missing.length) {
+        throw new Error(`manifest has no ${missing.map(size => `${size}x${size}`).join(' or ')} icon`);
+    }
+}
+
+function build() {
+    const html = readFileSync(SOURCE, 'utf8');
+    const head = required(/<head>([\s\S]*?)<\/head>/i.exec(html), '<head>')[1];
+    const source = required(getLink(head, 'apple-touch-icon'), 'apple-touch-icon link');
+    const image = decodePng(readFileSync(join(ROOT, source)));
+
+    const manifest = createManifest(html);
+    assertInstallable(manifest);
+
+    for (const { src, size, purpose } of ICONS) {
+        const icon = purpose === 'maskable' ? makeMaskable(image, size) : resize(image, size);
+        mkdirSync(dirname(join(ROOT, src)), { recursive: true });
+        writeFileSync(join(ROOT, src), encodePng(icon));
+    }
+
+    writeFileSync(OUTPUT, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`Wrote ${relative(ROOT, OUTPUT)} and ${ICONS.length} icons for "${manifest.name}"`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    build();
+}
+
+export { ICONS, REQUIRED_SIZES, createManifest, assertInstallable, decodePng, encodePng, resize };
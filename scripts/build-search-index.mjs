@@ -0,0 +1,274 @@
+/**
+ * Search index builder for Sigua.io
+ * Extracts titles, headings, body text and publish dates from the guide
+ * pages, the archived articles in backup/ and the FAQ in index.html, and
+ * writes the index the search overlay (static/js/search.js) loads.
+ * Bodies are only tokenized; the index keeps a short excerpt of each for
+ * the result snippets. Heading ids the overlay can derive are left out
+ * and postings are delta-encoded, so the first search downloads little.
+ *
+ * Usage (Node 20+, no dependencies):
+ *   node scripts/build-search-index.mjs
+ *
+ * Run it again whenever an article or the FAQ changes and commit the
+ * result; the output is deterministic, so an unchanged site gives an
+ * unchanged file.
+ */
+
+import { readFileSync, readdirSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { tokenize, headingId } from '../static/js/search-tokens.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'static/data/search-index.json');
+
+// Guide pages come first so they win over their archived copies
+const GUIDE_PAGES = [
+    'login-guide.html',
+    'registration-guide.html',
+    'pricing-guide.html',
+    'pc-download-guide.html'
+];
+const ARCHIVE_DIR = 'backup';
+const FAQ_PAGE = 'index.html';
+
+// Characters of body text kept per document for result snippets
+const EXCERPT_LENGTH = 160;
+
+// Field weights: a title match counts for more than a body match
+const WEIGHTS = {
+    title: 10,
+    heading: 3,
+    body: 1
+};
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    hellip: '…',
+    mdash: '—',
+    ndash: '–',
+    ldquo: '“',
+    rdquo: '”',
+    lsquo: '‘',
+    rsquo: '’'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Plain text of an HTML fragment, whitespace collapsed
+ * @param {string} html
+ * @returns {string}
+ */
+function toText(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Remove every element whose start tag matches, including nested
+ * elements of the same tag name
+ * @param {string} html
+ * @param {RegExp} startTag - Matches the opening tag; must capture the tag name
+ * @returns {string}
+ */
+function removeElements(html, startTag) {
+    let result = html;
+    let match;
+    const pattern = new RegExp(startTag.source, startTag.flags.replace('g', ''));
+
+    while ((match = pattern.exec(result))) {
+        const tag = match[1].toLowerCase();
+        const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+        tags.lastIndex = match.index + match[0].length;
+
+        let depth = 1;
+        let end = result.length;
+        let tagMatch;
+        while (depth > 0 && (tagMatch = tags.exec(result))) {
+            depth += tagMatch[1] ? -1 : 1;
+            end = tags.lastIndex;
+        }
+        result = result.slice(0, match.index) + result.slice(end);
+    }
+
+    return result;
+}
+
+/**
+ * @param {string} file - Path relative to the site root
+ * @returns {Object|null} Document, or null when the page has no article
+ */
+function parseArticle(file) {
+    const html = readFileSync(join(ROOT, file), 'utf8');
+    const article = /<article\b[^>]*>([\s\S]*?)<\/article>/i.exec(html);
+    if (!article) return null;
+
+    let content = article[1];
+    const title = /<h1\b[^>]*>([\s\S]*?)<\/h1>/i.exec(content);
+    if (!title) return null;
+
+    const date = /发布时间：\s*(\d{4}-\d{2}-\d{2})/.exec(content);
+
+    content = content
+        .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<h1\b[\s\S]*?<\/h1>/i, ' ')
+        .replace(/发布时间：\s*\d{4}-\d{2}-\d{2}/, ' ');
+    content = removeElements(content, /<(div)\b[^>]*id="ez-toc-container"[^>]*>/i);
+
+    const headings = [];
+    for (const [, , inner] of content.matchAll(/<(h[2-6])\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+        // Inline tags do not break words here, as in the anchor ids
+        const text = toText(inner.replace(/<[^>]*>/g, ''));
+        if (!text) continue;
+        const id = /\bid="([^"]+)"/.exec(inner);
+        headings.push([text, id ? id[1] : null]);
+    }
+
+    return {
+        url: file,
+        title: toText(title[1]),
+        date: date ? date[1] : '',
+        headings,
+        body: toText(content)
+    };
+}
+
+/**
+ * One document per FAQ item, linked to its deep link
+ * @returns {Array<Object>}
+ */
+function parseFAQ() {
+    const html = readFileSync(join(ROOT, FAQ_PAGE), 'utf8');
+    const items = [];
+    const pattern = /data-faq-slug="([^"]+)"[^>]*>\s*<h3 class="faq-item__question">([\s\S]*?)<\/h3>\s*<div class="faq-item__answer">([\s\S]*?)<\/div>/g;
+
+    for (const [, slug, question, answer] of html.matchAll(pattern)) {
+        items.push({
+            url: `${FAQ_PAGE}#faq/${slug}`,
+            title: toText(question),
+            date: '',
+            headings: [],
+            body: toText(answer)
+        });
+    }
+
+    return items;
+}
+
+function collectDocuments() {
+    const archived = readdirSync(join(ROOT, ARCHIVE_DIR))
+        .filter(name => /^\d+\.html$/.test(name))
+        .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+        .map(name => `${ARCHIVE_DIR}/${name}`);
+
+    const seen = new Set();
+    const documents = [];
+
+    [...GUIDE_PAGES, ...archived].forEach(file => {
+        const doc = parseArticle(file);
+        if (!doc || seen.has(doc.title)) return;
+        seen.add(doc.title);
+        documents.push(doc);
+    });
+
+    return [...documents, ...parseFAQ()];
+}
+
+/**
+ * Leading text of a body, cut at the last sentence end that keeps at
+ * least half of the excerpt
+ * @param {string} body - Plain text
+ * @returns {string}
+ */
+function makeExcerpt(body) {
+    const chars = [...body];
+    if (chars.length <= EXCERPT_LENGTH) return body;
+
+    const head = chars.slice(0, EXCERPT_LENGTH).join('');
+    const end = Math.max(...[...'。！？.!?'].map(mark => head.lastIndexOf(mark)));
+    return end >= head.length / 2 ? head.slice(0, end + 1) : `${head}…`;
+}
+
+/**
+ * Headings the overlay can link to, as their text when the anchor id is
+ * the one headingId() derives and as [text, id] otherwise
+ * @param {Array<Array>} headings - [text, id or null]
+ * @returns {Array<string|Array<string>>}
+ */
+function packHeadings(headings) {
+    return headings
+        .filter(([, id]) => id)
+        .map(([text, id]) => (id === headingId(text) ? text : [text, id]));
+}
+
+/**
+ * Inverted index: token -> flat [gap, weight, gap, weight, ...], where
+ * each gap is the distance from the previous document index
+ * @param {Array<Object>} documents
+ * @returns {Object}
+ */
+function buildTerms(documents) {
+    const terms = new Map();
+
+    documents.forEach((doc, index) => {
+        const weights = new Map();
+        const add = (text, weight) => {
+            tokenize(text).forEach(token => {
+                weights.set(token, (weights.get(token) || 0) + weight);
+            });
+        };
+
+        add(doc.title, WEIGHTS.title);
+        doc.headings.forEach(([text]) => add(text, WEIGHTS.heading));
+        add(doc.body, WEIGHTS.body);
+
+        weights.forEach((weight, token) => {
+            if (!terms.has(token)) terms.set(token, { last: 0, postings: [] });
+            const term = terms.get(token);
+            term.postings.push(index - term.last, weight);
+            term.last = index;
+        });
+    });
+
+    return Object.fromEntries([...terms]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([token, { postings }]) => [token, postings]));
+}
+
+const documents = collectDocuments();
+const index = {
+    version: 3,
+    docs: documents.map(({ url, title, date, headings, body }) => ({
+        u: url,
+        t: title,
+        d: date,
+        h: packHeadings(headings),
+        x: makeExcerpt(body)
+    })),
+    terms: buildTerms(documents)
+};
+
+const json = JSON.stringify(index);
+mkdirSync(dirname(OUTPUT), { recursive: true });
+writeFileSync(OUTPUT, json);
+
+const size = Buffer.byteLength(json);
+console.log(`Indexed ${documents.length} documents, ${Object.keys(index.terms).length} terms (${(size / 1024).toFixed(1)} KB) -> ${relative(ROOT, OUTPUT)}`);
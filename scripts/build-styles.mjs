@@ -0,0 +1,104 @@
+/**
+ * Component stylesheet builder for Sigua.io
+ * Collects every registerStyles('id', `css`) block from static/js in the
+ * order the pages load them and writes static/css/components.css, for
+ * deployments whose Content-Security-Policy forbids inline styles.
+ *
+ * Usage (Node 20+, no dependencies):
+ *   node scripts/build-styles.mjs
+ *
+ * Then link the file after custom.css with a data-style-registry
+ * attribute so static/js/styles.js stops adding the blocks itself:
+ *   <link rel="stylesheet" href="static/css/components.css" data-style-registry>
+ *
+ * Run it again whenever a component's CSS changes.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative, posix } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'static/css/components.css');
+
+// index.html first: blocks keep the order its scripts register them in
+const PAGES = [
+    'index.html',
+    'login-guide.html',
+    'registration-guide.html',
+    'pricing-guide.html',
+    'pc-download-guide.html'
+];
+
+const MODULE_SCRIPT = /<script\s+type="module"\s+src="([^"]+)"/g;
+const STATIC_IMPORT = /^import\s[^;]*?from\s+'(\.[^']+)';/gm;
+const REGISTRATION = /registerStyles\(\s*'([^']+)',\s*`([^`]*)`\s*\)/g;
+
+/**
+ * Module files in evaluation order: dependencies before the importer
+ * @param {string} file - Module path relative to ROOT
+ * @param {Set<string>} seen
+ * @param {Array<string>} order
+ */
+function visit(file, seen, order) {
+    if (seen.has(file)) return;
+    seen.add(file);
+
+    const source = readFileSync(join(ROOT, file), 'utf8');
+    for (const [, specifier] of source.matchAll(STATIC_IMPORT)) {
+        visit(posix.join(posix.dirname(file), specifier), seen, order);
+    }
+    order.push(file);
+}
+
+/**
+ * @param {string} file - Module path relative to ROOT
+ * @returns {Array<Array<string>>} [id, css] pairs
+ */
+function readBlocks(file) {
+    const source = readFileSync(join(ROOT, file), 'utf8');
+    return [...source.matchAll(REGISTRATION)].map(([, id, literal]) => {
+        if (literal.includes('${')) {
+            throw new Error(`${file}: style block "${id}" is not static and cannot be extracted`);
+        }
+        // Cook escape sequences exactly as the browser does
+        return [id, new Function(`return \`${literal}\`;`)()];
+    });
+}
+
+/**
+ * @param {string} css - Indented template literal contents
+ * @returns {string} CSS without the common indent
+ */
+function dedent(css) {
+    const lines = css.replace(/^\n/, '').replace(/\s+$/, '').split('\n');
+    const indent = Math.min(...lines
+        .filter(line => line.trim())
+        .map(line => line.match(/^ */)[0].length));
+    return lines.map(line => line.slice(indent).trimEnd()).join('\n');
+}
+
+const seen = new Set();
+const modules = [];
+PAGES.forEach(page => {
+    const html = readFileSync(join(ROOT, page), 'utf8');
+    for (const [, src] of html.matchAll(MODULE_SCRIPT)) {
+        visit(posix.normalize(src), seen, modules);
+    }
+});
+
+const blocks = new Map();
+modules.forEach(file => {
+    readBlocks(file).forEach(([id, css]) => {
+        if (!blocks.has(id)) blocks.set(id, { file, css });
+    });
+});
+
+const css = [
+    '/* Generated by scripts/build-styles.mjs from the registerStyles() blocks in static/js; do not edit */\n',
+    ...[...blocks].map(([id, block]) => `/* ${id} (${block.file}) */\n${dedent(block.css)}\n`)
+].join('\n');
+
+writeFileSync(OUTPUT, css);
+
+console.log(`Extracted ${blocks.size} style blocks from ${modules.length} modules (${(css.length / 1024).toFixed(1)} KB) -> ${relative(ROOT, OUTPUT)}`);
@@ -0,0 +1,342 @@
+/**
+ * Analytics for Sigua.io
+ * Counts the download funnel without identifying visitors: no cookies,
+ * no visitor id and no URLs beyond the page path. Nothing is recorded
+ * under Do-Not-Track / Global Privacy Control or once consent is
+ * withdrawn. Events are batched and flushed with navigator.sendBeacon.
+ *
+ * Events:
+ *   download_click     { platform, source }
+ *   resolver_hop       { platform, resolver, outcome, duration, error }
+ *   download_resolved  { platform, resolver, version }
+ *   download_failed    { platform, error, code, status, os }
+ *   faq_open           { slug }
+ *   section_view       { section }
+ *   app_install        { step, method, outcome }
+ *
+ * Without an endpoint events go to an in-page MemoryCollector, readable
+ * as window.Sigua.analytics.collector.events.
+ */
+
+/**
+ * Default analytics configuration
+ * Pages can override it through window.SIGUA_ANALYTICS_CONFIG.
+ */
+const ANALYTICS_CONFIG = {
+    // Collector URL; null keeps events in the page
+    endpoint: null,
+    batchSize: 10,
+    flushInterval: 5000,
+    // When true nothing is recorded until setConsent(true)
+    requireConsent: false,
+    consentKey: 'sigua:analytics-consent',
+    sections: 'section[id]',
+    // Band of the viewport a section must reach to count as viewed; a band
+    // rather than a share of the section, so tall sections count too
+    sectionRootMargin: '-40% 0px -40% 0px'
+};
+
+/**
+ * Download buttons and the source name reported for them
+ */
+const BUTTON_SOURCES = {
+    'download-btn--pc': 'pc',
+    'download-btn--mobile': 'mobile',
+    'getDown': 'auto',
+    'pcgetDown': 'legacy-pc',
+    'androidgetDown': 'legacy-mobile'
+};
+
+/**
+ * Sends batches to the collector endpoint
+ */
+class BeaconCollector {
+    /**
+     * @param {string} endpoint - Collector URL
+     */
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+    }
+
+    /**
+     * @param {Array<Object>} events
+     * @returns {boolean} Whether the batch was handed to the browser
+     */
+    send(events) {
+        // text/plain keeps the request CORS-simple, so no preflight
+        const body = JSON.stringify({ events });
+
+        if (navigator.sendBeacon) {
+            const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+            if (navigator.sendBeacon(this.endpoint, blob)) return true;
+        }
+
+        if (typeof fetch !== 'function') return false;
+        fetch(this.endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+        return true;
+    }
+}
+
+/**
+ * Keeps batches in memory, for local development and tests
+ */
+class MemoryCollector {
+    constructor() {
+        this.events = [];
+        this.batches = 0;
+    }
+
+    send(events) {
+        this.events.push(...events);
+        this.batches++;
+        return true;
+    }
+
+    /**
+     * @param {string} name - Event name
+     * @returns {Array<Object>} Recorded events with that name
+     */
+    find(name) {
+        return this.events.filter(event => event.name === name);
+    }
+
+    clear() {
+        this.events = [];
+        this.batches = 0;
+    }
+}
+
+/**
+ * Whether the browser asks not to be tracked
+ * @returns {boolean}
+ */
+function isDoNotTrack() {
+    const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+}
+
+class Analytics {
+    /**
+     * @param {Object} config - Analytics configuration
+     * @param {Object} [collector] - Object with send(events); defaults from config.endpoint
+     */
+    constructor(config = window.SIGUA_ANALYTICS_CONFIG || {}, collector = null) {
+        this.config = { ...ANALYTICS_CONFIG, ...config };
+        this.collector = collector || (this.config.endpoint
+            ? new BeaconCollector(this.config.endpoint)
+            : new MemoryCollector());
+        this.queue = [];
+        this.timer = null;
+        this.viewedSections = new Set();
+        this.init();
+    }
+
+    init() {
+        this.bindFunnel();
+
+        // Last chance to send before the page is unloaded or frozen
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.observeSections());
+        } else {
+            this.observeSections();
+        }
+    }
+
+    /**
+     * Stored consent: true, false, or null when never given
+     * @returns {boolean|null}
+     */
+    getConsent() {
+        try {
+            const stored = localStorage.getItem(this.config.consentKey);
+            if (stored === 'granted') return true;
+            if (stored === 'denied') return false;
+        } catch (error) {
+            // Storage unavailable; treat as never given
+        }
+        return null;
+    }
+
+    /**
+     * Record the visitor's choice; withdrawing it drops unsent events
+     * @param {boolean} granted
+     */
+    setConsent(granted) {
+        try {
+            localStorage.setItem(this.config.consentKey, granted ? 'granted' : 'denied');
+        } catch (error) {
+            // Private mode: the choice lasts for this page only
+            this.sessionConsent = granted;
+        }
+
+        if (!granted) {
+            this.queue = [];
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Whether events may be recorded right now
+     * @returns {boolean}
+     */
+    isEnabled() {
+        if (isDoNotTrack()) return false;
+
+        const consent = this.sessionConsent !== undefined ? this.sessionConsent : this.getConsent();
+        return this.config.requireConsent ? consent === true : consent !== false;
+    }
+
+    /**
+     * Queue an event
+     * @param {string} name - Event name, e.g. 'download_click'
+     * @param {Object} props - Event properties; undefined values are dropped
+     */
+    track(name, props = {}) {
+        if (!this.isEnabled()) return;
+
+        const event = { name, page: window.location.pathname, ts: Date.now() };
+        Object.entries(props).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) event[key] = value;
+        });
+        this.queue.push(event);
+
+        if (this.queue.length >= this.config.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.config.flushInterval);
+        }
+    }
+
+    /**
+     * Send queued events now
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.queue.length === 0) return;
+
+        const events = this.queue;
+        this.queue = [];
+        try {
+            this.collector.send(events);
+        } catch (error) {
+            console.warn('Analytics flush failed:', error);
+        }
+    }
+
+    /**
+     * Translate the download, install and FAQ lifecycle events into analytics events
+     */
+    bindFunnel() {
+        document.addEventListener('download:start', ({ detail }) => {
+            this.track('download_click', {
+                platform: detail.deviceType,
+                source: getButtonSource(detail.button)
+            });
+        });
+
+        document.addEventListener('download:hop', ({ detail }) => {
+            this.track('resolver_hop', {
+                platform: detail.deviceType,
+                resolver: detail.resolver,
+                outcome: detail.outcome,
+                duration: detail.duration,
+                error: detail.error && (detail.error.type || 'unknown')
+            });
+        });
+
+        document.addEventListener('download:resolved', ({ detail }) => {
+            this.track('download_resolved', {
+                platform: detail.deviceType,
+                resolver: detail.resolver,
+                version: detail.version
+            });
+        });
+
+        // Still a click, and the first place the funnel loses visitors
+        document.addEventListener('download:unavailable', ({ detail }) => {
+            this.track('download_click', {
+                platform: detail.platform,
+                source: getButtonSource(detail.button)
+            });
+            this.track('download_failed', {
+                platform: detail.platform,
+                error: 'unavailable',
+                os: detail.os
+            });
+        });
+
+        document.addEventListener('download:error', ({ detail }) => {
+            const { error } = detail;
+            this.track('download_failed', {
+                platform: detail.deviceType,
+                error: error.type,
+                code: error.code,
+                status: error.details && error.details.status
+            });
+        });
+
+        // Installing the web app is the download path where there is no build
+        document.addEventListener('install:shown', ({ detail }) => {
+            this.track('app_install', { step: 'shown', method: detail.method });
+        });
+
+        document.addEventListener('install:choice', ({ detail }) => {
+            this.track('app_install', { step: 'choice', method: detail.method, outcome: detail.outcome });
+        });
+
+        document.addEventListener('install:installed', ({ detail }) => {
+            this.track('app_install', { step: 'installed', method: detail.method });
+        });
+
+        document.addEventListener('faq:open', ({ detail }) => {
+            this.track('faq_open', { slug: detail.slug });
+        });
+    }
+
+    /**
+     * Report each section once per page view, the first time it is read
+     */
+    observeSections() {
+        if (!('IntersectionObserver' in window)) return;
+
+        const sections = document.querySelectorAll(this.config.sections);
+        if (sections.length === 0) return;
+
+        this.sectionObserver = new IntersectionObserver((records) => {
+            records.forEach(record => {
+                const { id } = record.target;
+                if (!record.isIntersecting || this.viewedSections.has(id)) return;
+
+                this.viewedSections.add(id);
+                this.sectionObserver.unobserve(record.target);
+                this.track('section_view', { section: id });
+            });
+        }, { rootMargin: this.config.sectionRootMargin });
+
+        sections.forEach(section => this.sectionObserver.observe(section));
+    }
+}
+
+/**
+ * @param {HTMLElement} [button] - Clicked download button
+ * @returns {string} Source name, 'script' for window.Sigua.download() calls
+ */
+function getButtonSource(button) {
+    if (!button) return 'script';
+    const match = Object.keys(BUTTON_SOURCES).find(name => button.classList.contains(name));
+    return match ? BUTTON_SOURCES[match] : 'other';
+}
+
+const analytics = new Analytics();
+
+window.Sigua = window.Sigua || {};
+window.Sigua.analytics = analytics;
+
+export { Analytics, BeaconCollector, MemoryCollector, ANALYTICS_CONFIG, analytics };
@@ -0,0 +1,197 @@
+/**
+ * App Shell for Sigua.io
+ * Owns in-page link interception and scroll restoration, and publishes
+ * navigation on the shared event bus. Managers subscribe to
+ * `route:change` instead of handling `a[href^="#"]` clicks themselves.
+ *
+ * `route:change` detail: { path, type, target, to, from }
+ * - type: 'load', 'push', 'replace' or 'traverse' (back/forward)
+ * - target: element navigated to (routed section or anchor target)
+ * - to/from: router matches, or null on pages without a router; `to.anchor`
+ *   is set when the router stayed on its route for an anchor within it
+ */
+
+import { EventBus } from './event-bus.js';
+import { createHistoryKey } from './router.js';
+
+const SCROLL_STORAGE_KEY = 'sigua:scroll-positions';
+const MAX_STORED_POSITIONS = 50;
+
+class AppShell {
+    constructor(bus = new EventBus()) {
+        this.bus = bus;
+        this.router = null;
+        this.positions = this.loadPositions();
+        this.init();
+    }
+
+    init() {
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        this.ensureEntryKey();
+
+        document.addEventListener('click', (e) => this.handleClick(e));
+
+        // Anchor-only pages: back/forward between fragments
+        window.addEventListener('popstate', () => {
+            if (!this.router) {
+                const hash = window.location.hash;
+                this.publish({ path: `/${hash.substring(1)}`, type: 'traverse', target: this.findTarget(hash) });
+            }
+        });
+
+        let ticking = false;
+        window.addEventListener('scroll', () => {
+            if (ticking) return;
+            ticking = true;
+            requestAnimationFrame(() => {
+                this.savePosition();
+                ticking = false;
+            });
+        }, { passive: true });
+
+        window.addEventListener('pagehide', () => this.persistPositions());
+
+        this.bus.on('route:change', (detail) => this.restoreScroll(detail));
+    }
+
+    /**
+     * Shortcut for bus.on()
+     * @param {string} type - Event name
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        return this.bus.on(type, handler);
+    }
+
+    /**
+     * Route in-page links through a router and publish its navigations
+     * @param {Router} router - Router instance, attached before start()
+     */
+    attachRouter(router) {
+        this.router = router;
+        router.afterEach((to, from, { type }) => {
+            this.publish({
+                path: to.path,
+                type,
+                target: document.getElementById(to.anchor || to.route.section),
+                to,
+                from
+            });
+        });
+    }
+
+    /**
+     * Single interception point for `a[href^="#"]` clicks
+     * @param {MouseEvent} e
+     */
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const anchor = e.target.closest('a[href^="#"]');
+        if (!anchor) return;
+
+        const href = anchor.getAttribute('href');
+        if (href === '#') return;
+
+        this.savePosition();
+
+        const path = `/${href.substring(1)}`;
+        if (this.router && this.router.resolve(path)) {
+            e.preventDefault();
+            this.router.navigate(path);
+            return;
+        }
+
+        // Plain anchors only navigate to targets that are on screen
+        const target = this.findTarget(href);
+        if (target && target.getClientRects().length > 0) {
+            e.preventDefault();
+            window.history.pushState({ key: createHistoryKey() }, '', href);
+            this.publish({ path, type: 'push', target });
+        }
+    }
+
+    /**
+     * @param {Object} detail - route:change detail
+     */
+    publish(detail) {
+        this.bus.emit('route:change', { to: null, from: null, ...detail });
+    }
+
+    findTarget(hash) {
+        const id = decodeURIComponent(hash.replace(/^#/, ''));
+        return id ? document.getElementById(id) : null;
+    }
+
+    /**
+     * Restore the entry's saved position on back/forward and reload;
+     * otherwise go to the top of a routed section or scroll to an anchor
+     * target
+     * @param {Object} detail - route:change detail
+     */
+    restoreScroll({ type, target, to }) {
+        const saved = this.positions[this.getEntryKey()];
+
+        if ((type === 'traverse' || type === 'load') && saved !== undefined) {
+            window.scrollTo(0, saved);
+        } else if (to && !to.anchor) {
+            if (type !== 'load') {
+                window.scrollTo(0, 0);
+            }
+        } else if (target) {
+            const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+            target.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'start' });
+        }
+    }
+
+    getEntryKey() {
+        return window.history.state && window.history.state.key;
+    }
+
+    /**
+     * Give the current history entry a key if it has none, e.g. after
+     * the browser followed a fragment link on its own
+     * @returns {string}
+     */
+    ensureEntryKey() {
+        if (!this.getEntryKey()) {
+            window.history.replaceState({ ...window.history.state, key: createHistoryKey() }, '');
+        }
+        return this.getEntryKey();
+    }
+
+    savePosition() {
+        const key = this.ensureEntryKey();
+        // Re-insert so the most recent entries survive the storage cap
+        delete this.positions[key];
+        this.positions[key] = window.scrollY;
+    }
+
+    loadPositions() {
+        try {
+            return JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    persistPositions() {
+        const recent = Object.entries(this.positions).slice(-MAX_STORED_POSITIONS);
+        try {
+            sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify(Object.fromEntries(recent)));
+        } catch (error) {
+            // Storage full or disabled; positions only live for this page view
+        }
+    }
+}
+
+const shell = new AppShell();
+
+window.Sigua = window.Sigua || {};
+window.Sigua.shell = shell;
+
+export { AppShell, shell };
@@ -0,0 +1,120 @@
+/**
+ * Campaign attribution for Sigua.io
+ * Captures UTM and `?ref=` parameters on landing and keeps them in
+ * localStorage for a configurable window, so a visitor who arrives from
+ * a campaign link and downloads later is still attributed to it.
+ *
+ * Only parameters on the `forward` allowlist ever leave the browser
+ * (download API requests, QR links); the rest are kept for this site only.
+ */
+
+/**
+ * Default attribution configuration
+ * Pages can override it through window.SIGUA_ATTRIBUTION_CONFIG.
+ */
+const ATTRIBUTION_CONFIG = {
+    capture: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref'],
+    // utm_term can carry the visitor's search words, so it stays local
+    forward: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'ref'],
+    storageKey: 'sigua:attribution',
+    days: 30,
+    maxLength: 100
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class Attribution {
+    constructor(config = window.SIGUA_ATTRIBUTION_CONFIG || {}) {
+        this.config = { ...ATTRIBUTION_CONFIG, ...config };
+        // Used when storage is unavailable
+        this.memory = null;
+        this.capture(window.location.search);
+    }
+
+    /**
+     * Store the campaign parameters of a query string
+     * A landing with new parameters replaces the previous campaign.
+     * @param {string} search - Query string, e.g. location.search
+     * @returns {boolean} Whether anything was captured
+     */
+    capture(search) {
+        const query = new URLSearchParams(search);
+        const params = {};
+
+        this.config.capture.forEach(name => {
+            const value = (query.get(name) || '').trim();
+            if (value) {
+                params[name] = value.slice(0, this.config.maxLength);
+            }
+        });
+
+        if (Object.keys(params).length === 0) return false;
+
+        const now = Date.now();
+        this.write({ params, captured: now, expires: now + this.config.days * DAY });
+        return true;
+    }
+
+    /**
+     * All captured parameters, including ones never forwarded
+     * @returns {Object} Name -> value; empty once the window has passed
+     */
+    getStored() {
+        const entry = this.read();
+        if (!entry || !entry.params || !(entry.expires > Date.now())) {
+            if (entry) this.clear();
+            return {};
+        }
+        return { ...entry.params };
+    }
+
+    /**
+     * Captured parameters allowed to leave the browser
+     * @returns {Object} Name -> value
+     */
+    getParams() {
+        const stored = this.getStored();
+        const params = {};
+
+        this.config.forward.forEach(name => {
+            if (stored[name]) params[name] = stored[name];
+        });
+        return params;
+    }
+
+    clear() {
+        this.memory = null;
+        try {
+            localStorage.removeItem(this.config.storageKey);
+        } catch (error) {
+            // Storage unavailable; memory is already cleared
+        }
+    }
+
+    read() {
+        try {
+            const stored = localStorage.getItem(this.config.storageKey);
+            if (stored) return JSON.parse(stored);
+        } catch (error) {
+            // Unavailable or corrupt storage; fall back to this page's capture
+        }
+        return this.memory;
+    }
+
+    write(entry) {
+        this.memory = entry;
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(entry));
+        } catch (error) {
+            // Private mode: attribution lasts for this page only
+        }
+    }
+}
+
+// Captured at load, before the router or any redirect drops the query
+const attribution = new Attribution();
+
+window.Sigua = window.Sigua || {};
+window.Sigua.attribution = attribution;
+
+export { Attribution, ATTRIBUTION_CONFIG, attribution };
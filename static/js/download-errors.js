@@ -0,0 +1,157 @@
+/**
+ * Download errors for Sigua.io
+ * Typed failures of the download API and payload schema validation
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Error types, with the code shown to users and quoted to support
+ * Messages and hints are in the `errors.<type>` catalog entries.
+ */
+export const ERROR_TYPES = {
+    NETWORK: 'network',
+    HTTP_STATUS: 'http_status',
+    MALFORMED_JSON: 'malformed_json',
+    MISSING_FIELD: 'missing_field',
+    SERVER_CODE: 'server_code',
+    UNSAFE_URL: 'unsafe_url'
+};
+
+const ERROR_INFO = {
+    [ERROR_TYPES.NETWORK]: {
+        code: 'E_NETWORK',
+        retryable: true
+    },
+    [ERROR_TYPES.HTTP_STATUS]: {
+        code: 'E_HTTP',
+        retryable: true
+    },
+    [ERROR_TYPES.MALFORMED_JSON]: {
+        code: 'E_RESPONSE',
+        retryable: true
+    },
+    [ERROR_TYPES.MISSING_FIELD]: {
+        code: 'E_FIELD',
+        retryable: true
+    },
+    [ERROR_TYPES.SERVER_CODE]: {
+        code: 'E_SERVER',
+        retryable: false
+    },
+    [ERROR_TYPES.UNSAFE_URL]: {
+        code: 'E_UNSAFE',
+        retryable: false
+    }
+};
+
+export class DownloadError extends Error {
+    /**
+     * @param {string} type - One of ERROR_TYPES
+     * @param {Object} details - { url, status, field, serverCode, serverMessage, cause }
+     */
+    constructor(type, details = {}) {
+        const info = ERROR_INFO[type];
+        super(details.serverMessage || t(`errors.${type}.message`));
+        this.name = 'DownloadError';
+        this.type = type;
+        this.code = info.code;
+        this.details = details;
+        this.cause = details.cause;
+    }
+
+    /**
+     * Whether trying again may help
+     * @returns {boolean}
+     */
+    get retryable() {
+        if (this.type === ERROR_TYPES.HTTP_STATUS) {
+            // Client errors other than rate limiting will not go away on retry
+            const status = this.details.status;
+            return status >= 500 || status === 429;
+        }
+        return ERROR_INFO[this.type].retryable;
+    }
+
+    /**
+     * Hint telling the user what to do next
+     * @returns {string}
+     */
+    get retryHint() {
+        return t(`errors.${this.type}.hint`);
+    }
+
+    /**
+     * Message shown to the user, including the support code
+     * @returns {string}
+     */
+    get userMessage() {
+        const status = this.details.status ? ` ${this.details.status}` : '';
+        return t('errors.userMessage', {
+            message: this.message,
+            code: this.code,
+            status,
+            hint: this.retryHint
+        });
+    }
+}
+
+/**
+ * Validate an API payload against a schema
+ * A schema maps field names to { type, format, optional }; format 'url'
+ * requires an absolute http(s) URL and 'sha256' a hex digest. Payloads
+ * carrying `code` and `msg` instead of the expected fields are reported
+ * as server errors.
+ * @param {*} data - Parsed JSON payload
+ * @param {Object} schema - Expected fields
+ * @param {string} url - URL the payload came from
+ * @returns {Object} The validated payload
+ */
+export function validatePayload(data, schema, url) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new DownloadError(ERROR_TYPES.MALFORMED_JSON, { url });
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = data[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.optional) continue;
+            if (data.code && data.msg) {
+                throw new DownloadError(ERROR_TYPES.SERVER_CODE, {
+                    url,
+                    serverCode: data.code,
+                    serverMessage: String(data.msg)
+                });
+            }
+            throw new DownloadError(ERROR_TYPES.MISSING_FIELD, { url, field });
+        }
+
+        if (typeof value !== rule.type) {
+            throw new DownloadError(ERROR_TYPES.MISSING_FIELD, { url, field });
+        }
+
+        if (rule.format === 'url' && !isHttpUrl(value)) {
+            throw new DownloadError(ERROR_TYPES.UNSAFE_URL, { url: value, field });
+        }
+
+        if (rule.format === 'sha256' && !/^[a-f0-9]{64}$/i.test(value)) {
+            throw new DownloadError(ERROR_TYPES.MISSING_FIELD, { url, field });
+        }
+    }
+
+    return data;
+}
+
+/**
+ * @param {string} value - Candidate URL
+ * @returns {boolean} Whether value is an absolute http(s) URL
+ */
+function isHttpUrl(value) {
+    try {
+        const { protocol } = new URL(value);
+        return protocol === 'https:' || protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Download QR codes for Sigua.io
+ * Replaces the static download.png with a QR code generated in the page.
+ * The image stays in the markup as the no-JS fallback.
+ */
+
+import { QRCode } from './qrcode.js';
+import { attribution } from './attribution.js';
+
+/**
+ * Default QR configuration
+ * `source` is 'page' to encode this page's URL plus tracking params,
+ * or 'download' to encode the resolved mobile download URL.
+ * The visitor's own campaign parameters are carried into the page URL;
+ * `trackingParams` only tag visits that brought none, so a campaign
+ * keeps its credit across the scan and is never mixed with the defaults.
+ * Pages can override any of it through window.SIGUA_QR_CONFIG.
+ */
+const QR_CONFIG = {
+    source: 'page',
+    errorCorrection: 'M',
+    trackingParams: {
+        utm_source: 'qr',
+        utm_medium: 'website'
+    },
+    containers: ['.download-card__qr', '.download-option__qr']
+};
+
+class DownloadQR {
+    constructor(config = window.SIGUA_QR_CONFIG || {}) {
+        this.config = { ...QR_CONFIG, ...config };
+        this.init();
+    }
+
+    init() {
+        this.render(this.getPageUrl());
+
+        if (this.config.source === 'download') {
+            this.renderDownloadUrl();
+            document.addEventListener('download:resolved', (e) => {
+                if (e.detail.deviceType === 'mobile') {
+                    this.render(e.detail.url);
+                }
+            });
+        }
+    }
+
+    /**
+     * Current page URL with campaign and tracking params, without the hash
+     * The page's own query is dropped, so a scanned code carries nothing
+     * outside the attribution allowlist to another device.
+     * @returns {string}
+     */
+    getPageUrl() {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.search = '';
+
+        const captured = attribution.getParams();
+        const params = Object.keys(captured).length ? captured : this.config.trackingParams;
+        Object.entries(params).forEach(([key, value]) => {
+            url.searchParams.set(key, value);
+        });
+        return url.href;
+    }
+
+    /**
+     * Resolve the mobile download URL and render it; keeps the page QR on failure
+     */
+    async renderDownloadUrl() {
+        const manager = window.Sigua && window.Sigua.downloadManager;
+        if (!manager) return;
+
+        try {
+            const { url } = await manager.resolveDownload('mobile');
+            this.render(url);
+        } catch (error) {
+            console.warn('QR falls back to the page URL:', error);
+        }
+    }
+
+    /**
+     * Render a QR code into every configured container
+     * @param {string} text - Content to encode
+     */
+    render(text) {
+        let qr;
+        try {
+            qr = QRCode.encodeText(text, this.config.errorCorrection);
+        } catch (error) {
+            console.error('QR encoding failed:', error);
+            return;
+        }
+
+        // ISO/IEC 18004 quiet zone; scanners miss codes set against a dark card
+        const svgMarkup = qr.toSVG({ margin: 4 });
+
+        document.querySelectorAll(this.config.containers.join(',')).forEach(container => {
+            const fallback = container.querySelector('img');
+            const wrapper = document.createElement('div');
+            wrapper.innerHTML = svgMarkup;
+            const svg = wrapper.firstElementChild;
+
+            // Reuse the image's classes so the existing sizing rules apply
+            svg.setAttribute('class', `${fallback ? fallback.className : ''} qr-code`.trim());
+            svg.setAttribute('role', 'img');
+            svg.setAttribute('aria-label', fallback ? fallback.alt : 'QR Code');
+            svg.dataset.qrContent = text;
+
+            const existing = container.querySelector('.qr-code');
+            if (existing) {
+                existing.replaceWith(svg);
+            } else {
+                container.appendChild(svg);
+            }
+
+            if (fallback) {
+                fallback.hidden = true;
+            }
+        });
+    }
+}
+
+// Initialize download QR codes when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new DownloadQR();
+});
+
+export { DownloadQR, QR_CONFIG };
@@ -1,135 +1,653 @@
 /**
  * Download Manager for Sigua.io
  * Handles app downloads for different platforms
+ *
+ * This is the only download implementation on the site. It serves the
+ * current `.download-btn--*` buttons as well as the legacy `.getDown`,
+ * `.pcgetDown` and `.androidgetDown` ones, and exposes
+ * `window.Sigua.download(platform)` for inline scripts. Progress is
+ * reported through `download:start`, `download:hop` (one per resolver
+ * tried), `download:resolved` and `download:error` events dispatched
+ * on `document`; a click with no build for the platform dispatches
+ * `download:unavailable` instead.
  */
 
-class DownloadManager {
+import { PlatformDetector } from './platform.js';
+import { DownloadError, ERROR_TYPES, validatePayload } from './download-errors.js';
+import { toast } from './toast.js';
+import { t } from './i18n.js';
+import { attribution } from './attribution.js';
+import { registerStyles } from './styles.js';
+
+/**
+ * Default download configuration
+ * Resolvers are tried in order until one of them yields a URL,
+ * so a dead API host falls through to the mirrors and the button href.
+ * Pages can override any of it through window.SIGUA_DOWNLOAD_CONFIG.
+ */
+const DOWNLOAD_CONFIG = {
+    hopTimeout: 8000,
+    // Each API hop is retried with jittered exponential backoff
+    retry: {
+        attempts: 3,
+        baseDelay: 800,
+        maxDelay: 8000
+    },
+    resolvers: [
+        {
+            type: 'api',
+            endpoint: 'https://a.hkdownload.com/get.php'
+        },
+        {
+            type: 'mirror',
+            mirrors: {
+                pc: ['https://mosgram.com/download/mosgram-windows.exe'],
+                mobile: []
+            }
+        },
+        {
+            type: 'direct'
+        }
+    ],
+    // Last resolved URL per platform, offered when resolving fails
+    lastDownload: {
+        storageKey: 'sigua:last-download',
+        maxAge: 30 * 24 * 60 * 60 * 1000
+    },
+    // Which build each platform gets; anything unmatched has no build
+    builds: [
+        { os: 'windows', formFactor: ['desktop'], type: 'pc' },
+        { os: 'android', type: 'mobile' }
+        // No iOS build: the Android APK cannot install there, so iPhone
+        // and iPad get the unavailable state and the web app install card
+    ],
+    // Final download URLs must pass these checks before we navigate
+    safety: {
+        requireHttps: true,
+        allowedHosts: [
+            'mosgram.com',
+            '*.mosgram.com',
+            'sigua.io',
+            '*.sigua.io',
+            '*.hkdownload.com'
+        ],
+        extensions: {
+            pc: ['.exe'],
+            mobile: ['.apk'],
+            mac: ['.dmg']
+        }
+    }
+};
+
+/**
+ * Fetch with a per-request timeout
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options = {}, timeout = DOWNLOAD_CONFIG.hopTimeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        throw new DownloadError(ERROR_TYPES.NETWORK, {
+            url,
+            timeout: error.name === 'AbortError',
+            cause: error
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Resolve once the browser reports a network connection
+ * @returns {Promise<void>}
+ */
+function waitForOnline() {
+    if (navigator.onLine !== false) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        window.addEventListener('online', () => resolve(), { once: true });
+    });
+}
+
+/**
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Payload schema of each API hop
+ * A hop that fails answers with { code, msg } instead
+ */
+const API_SCHEMAS = {
+    webhost: {
+        webhost: { type: 'string', format: 'url' }
+    },
+    go: {
+        go: { type: 'string', format: 'url' },
+        sha256: { type: 'string', format: 'sha256', optional: true },
+        version: { type: 'string', optional: true }
+    }
+};
+
+/**
+ * Two-hop API resolver: get.php returns `webhost`, which returns `go`
+ * Campaign parameters from attribution.js are forwarded to get.php.
+ */
+class ApiResolver {
+    constructor({ endpoint }, timeout) {
+        this.name = 'api';
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+    }
+
+    /**
+     * @param {Object} context - { deviceType, button, retry }
+     * @returns {Promise<Object>} { url, sha256, version }
+     */
+    async resolve({ deviceType, retry }) {
+        const params = new URLSearchParams({
+            ...attribution.getParams(),
+            type: deviceType,
+            site: window.location.hostname
+        });
+
+        const { webhost } = await retry(() => this.fetchJSON(`${this.endpoint}?${params}`, API_SCHEMAS.webhost));
+        const { go, sha256, version } = await retry(() => this.fetchJSON(webhost, API_SCHEMAS.go));
+
+        return { url: go, sha256, version };
+    }
+
+    /**
+     * Fetch one hop and validate its payload
+     * @param {string} url - Hop URL
+     * @param {Object} schema - Expected payload fields
+     * @returns {Promise<Object>} Validated payload
+     */
+    async fetchJSON(url, schema) {
+        const response = await fetchWithTimeout(url, {}, this.timeout);
+        if (!response.ok) {
+            throw new DownloadError(ERROR_TYPES.HTTP_STATUS, { url, status: response.status });
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await response.text());
+        } catch (error) {
+            throw new DownloadError(ERROR_TYPES.MALFORMED_JSON, { url, cause: error });
+        }
+
+        return validatePayload(data, schema, url);
+    }
+}
+
+/**
+ * Static mirror resolver: returns the first mirror that answers
+ */
+class MirrorResolver {
+    constructor({ mirrors = {} }, timeout) {
+        this.name = 'mirror';
+        this.mirrors = mirrors;
+        this.timeout = timeout;
+    }
+
+    async resolve({ deviceType }) {
+        const candidates = this.mirrors[deviceType] || [];
+
+        for (const url of candidates) {
+            try {
+                // Opaque no-cors responses are enough to tell the host is up
+                await fetchWithTimeout(url, { method: 'HEAD', mode: 'no-cors' }, this.timeout);
+                return url;
+            } catch (error) {
+                console.warn(`Mirror unreachable: ${url}`, error);
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Direct resolver: uses the href of the clicked button
+ */
+class DirectResolver {
     constructor() {
-        this.apiBaseUrl = 'https://a.hkdownload.com/get.php';
+        this.name = 'direct';
+    }
+
+    async resolve({ button }) {
+        const href = button && button.getAttribute('href');
+        if (!href || href.startsWith('#') || href.startsWith('javascript:')) {
+            return null;
+        }
+        return new URL(href, window.location.href).href;
+    }
+}
+
+const RESOLVER_TYPES = {
+    api: ApiResolver,
+    mirror: MirrorResolver,
+    direct: DirectResolver
+};
+
+/**
+ * Download button selectors and the platform they request
+ * 'auto' picks the build for the detected platform; an explicit platform
+ * must match it too, so an iPhone never gets the APK.
+ */
+const BUTTON_SELECTORS = {
+    '.download-btn--pc': 'pc',
+    '.pcgetDown': 'pc',
+    '.download-btn--mobile': 'mobile',
+    '.androidgetDown': 'mobile',
+    '.getDown': 'auto'
+};
+
+class DownloadManager {
+    constructor(config = window.SIGUA_DOWNLOAD_CONFIG || {}) {
+        this.config = {
+            ...DOWNLOAD_CONFIG,
+            ...config,
+            retry: { ...DOWNLOAD_CONFIG.retry, ...config.retry },
+            lastDownload: { ...DOWNLOAD_CONFIG.lastDownload, ...config.lastDownload },
+            safety: { ...DOWNLOAD_CONFIG.safety, ...config.safety }
+        };
+        this.resolvers = this.createResolvers(this.config.resolvers);
+        this.lastResolver = null;
+        this.platformDetector = new PlatformDetector();
+        this.platform = this.platformDetector.detectSync();
         this.init();
     }
 
     init() {
         this.bindEvents();
+        this.updateAvailability();
+
+        // Client hints resolve asynchronously and may refine the UA guess
+        this.platformDetector.detect().then(platform => {
+            this.platform = platform;
+            this.updateAvailability();
+        });
+    }
+
+    /**
+     * Instantiate resolvers from their config entries
+     * @param {Array<Object>} entries - Resolver configs, in priority order
+     * @returns {Array<Object>} Resolver instances
+     */
+    createResolvers(entries) {
+        return entries
+            .filter(entry => RESOLVER_TYPES[entry.type])
+            .map(entry => new RESOLVER_TYPES[entry.type](entry, this.config.hopTimeout));
     }
 
     bindEvents() {
         // Bind download buttons
         document.addEventListener('click', (e) => {
-            if (e.target.closest('.download-btn--pc')) {
-                e.preventDefault();
-                this.handleDownload('pc');
-            } else if (e.target.closest('.download-btn--mobile')) {
-                e.preventDefault();
-                this.handleDownload('mobile');
-            } else if (e.target.closest('.getDown')) {
-                e.preventDefault();
-                this.handleOriginalDownload();
+            for (const [selector, platform] of Object.entries(BUTTON_SELECTORS)) {
+                const button = e.target.closest(selector);
+                if (button) {
+                    e.preventDefault();
+                    this.download(platform, button);
+                    return;
+                }
             }
         });
     }
 
     /**
-     * Handle download for specific device type
-     * @param {string} deviceType - 'pc' or 'mobile'
+     * Download the build for a platform
+     * @param {string} platform - 'pc', 'mobile' or 'auto' to detect it
+     * @param {HTMLElement} [button] - Clicked button, if any
+     * @returns {Promise<string|null>} Download URL, or null on failure
      */
-    async handleDownload(deviceType) {
+    async download(platform = 'auto', button = null) {
+        const deviceType = this.resolveDeviceType(platform);
+
+        if (!deviceType) {
+            this.emit('download:unavailable', { platform, os: this.platform.os, button });
+            this.showUnavailable(platform);
+            return null;
+        }
+
+        // Ignore repeated clicks while this button is still resolving
+        if (button && button.classList.contains('download-btn--loading')) {
+            return null;
+        }
+
+        this.emit('download:start', { deviceType, button });
+
         try {
-            this.showLoadingState();
-            
-            const downloadUrl = await this.getDownloadUrl(deviceType);
-            if (downloadUrl) {
-                this.downloadFile(downloadUrl);
-            }
+            this.showLoadingState(button);
+
+            const result = await this.resolveDownload(deviceType, button);
+            this.rememberDownload(deviceType, result);
+            return this.startDownload(deviceType, button, result);
         } catch (error) {
-            console.error('Download error:', error);
-            this.showError('下载繁忙，错误代码:500');
+            const downloadError = error instanceof DownloadError
+                ? error
+                : new DownloadError(ERROR_TYPES.NETWORK, { cause: error });
+
+            console.error('Download error:', downloadError.code, downloadError.details);
+            this.emit('download:error', { deviceType, button, error: downloadError });
+
+            const actions = [];
+            if (downloadError.retryable) {
+                actions.push({ label: t('download.retry'), onClick: () => this.download(platform, button) });
+            }
+            const last = this.getLastDownload(deviceType);
+            if (last) {
+                actions.push({
+                    label: t('download.useLast'),
+                    onClick: () => this.startDownload(deviceType, button, { ...last, resolver: 'cache' })
+                });
+            }
+            this.showError(downloadError.userMessage, { actions });
+            return null;
         } finally {
-            this.hideLoadingState();
+            this.hideLoadingState(button);
         }
     }
 
     /**
-     * Handle original download logic
+     * Announce a resolved build and hand its URL to the browser
+     * @param {string} deviceType - Device type
+     * @param {HTMLElement} button - Clicked button
+     * @param {Object} result - { url, sha256, version, resolver }
+     * @returns {string} Download URL
      */
-    async handleOriginalDownload() {
+    startDownload(deviceType, button, result) {
+        this.emit('download:resolved', { deviceType, button, ...result });
+        this.showBuildInfo(button, result);
+        this.downloadFile(result.url, deviceType);
+        return result.url;
+    }
+
+    /**
+     * Keep the last resolved build per platform for when get.php is unreachable
+     * @param {string} deviceType - Device type
+     * @param {Object} result - { url, sha256, version }
+     */
+    rememberDownload(deviceType, { url, sha256, version }) {
+        const { storageKey } = this.config.lastDownload;
         try {
-            this.showLoadingState();
-            
-            const deviceType = this.detectDeviceType();
-            const downloadUrl = await this.getDownloadUrl(deviceType);
-            
-            if (downloadUrl) {
-                this.downloadFile(downloadUrl);
-            }
+            const stored = JSON.parse(localStorage.getItem(storageKey) || '{}');
+            stored[deviceType] = { url, sha256, version, resolvedAt: Date.now() };
+            localStorage.setItem(storageKey, JSON.stringify(stored));
         } catch (error) {
-            console.error('Download error:', error);
-            this.showError('抱歉，网站过期啦，赶紧续费');
-        } finally {
-            this.hideLoadingState();
+            // Storage unavailable; nothing to offer next time
         }
     }
 
     /**
-     * Detect device type based on user agent
-     * @returns {string} 'mobile' or 'pc'
+     * Last resolved build for a platform, if recent and still allowed
+     * @param {string} deviceType - Device type
+     * @returns {Object|null} { url, sha256, version, resolvedAt }
+     */
+    getLastDownload(deviceType) {
+        const { storageKey, maxAge } = this.config.lastDownload;
+        let entry;
+        try {
+            entry = JSON.parse(localStorage.getItem(storageKey) || '{}')[deviceType];
+        } catch (error) {
+            return null;
+        }
+
+        if (!entry || !entry.url || !(Date.now() - entry.resolvedAt < maxAge)) return null;
+        return this.checkUrl(entry.url, deviceType) ? null : entry;
+    }
+
+    /**
+     * Run a task, retrying retryable failures with jittered exponential backoff
+     * While the browser is offline the task waits for the `online` event
+     * instead of spending attempts.
+     * @param {Function} task - Returns a promise
+     * @param {HTMLElement} [button] - Button showing the progress
+     * @returns {Promise<*>} Result of the task
+     */
+    async retry(task, button) {
+        const { attempts, baseDelay, maxDelay } = this.config.retry;
+        let attempt = 1;
+
+        for (;;) {
+            if (navigator.onLine === false) {
+                this.setLoadingStatus(button, t('download.status.offline'));
+                await waitForOnline();
+            }
+
+            this.setLoadingStatus(button, attempt > 1
+                ? t('download.status.retrying', { attempt, attempts })
+                : t('download.status.resolving'));
+
+            try {
+                return await task();
+            } catch (error) {
+                if (navigator.onLine === false) continue;
+
+                const retryable = error instanceof DownloadError && error.retryable;
+                if (!retryable || attempt >= attempts) {
+                    throw error;
+                }
+
+                const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+                await sleep(Math.random() * ceiling);
+                attempt++;
+            }
+        }
+    }
+
+    /**
+     * Dispatch a download lifecycle event on document
+     * @param {string} name - Event name
+     * @param {Object} detail - Event detail
+     */
+    emit(name, detail) {
+        document.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+
+    /**
+     * Detect which build fits the visitor's platform
+     * @returns {string|null} 'mobile', 'pc' or null when there is no build
      */
     detectDeviceType() {
-        return /Mobile|Android|iPhone|iPad/i.test(navigator.userAgent) ? 'mobile' : 'pc';
+        const build = this.findBuild(this.platform);
+        return build ? build.type : null;
     }
 
     /**
-     * Get download URL from API
-     * @param {string} deviceType - Device type
-     * @returns {Promise<string>} Download URL
+     * Build type to download for a requested platform
+     * @param {string} platform - 'pc', 'mobile' or 'auto'
+     * @returns {string|null} The detected build type, or null when there is
+     *     none or it is not the one requested
      */
-    async getDownloadUrl(deviceType) {
-        const siteDomain = window.location.hostname;
-        const params = new URLSearchParams({
-            type: deviceType,
-            site: siteDomain
-        });
+    resolveDeviceType(platform) {
+        const deviceType = this.detectDeviceType();
+        return platform === 'auto' || platform === deviceType ? deviceType : null;
+    }
 
-        // First API call
-        const response1 = await fetch(`${this.apiBaseUrl}?${params}`);
-        if (!response1.ok) {
-            throw new Error(`HTTP error! status: ${response1.status}`);
+    /**
+     * Find the build matching a platform
+     * @param {Object} platform - { os, formFactor, arch }
+     * @returns {Object|null} Build config entry
+     */
+    findBuild(platform) {
+        return this.config.builds.find(build =>
+            build.os === platform.os &&
+            (!build.formFactor || build.formFactor.includes(platform.formFactor)) &&
+            (!build.arch || build.arch.includes(platform.arch))
+        ) || null;
+    }
+
+    /**
+     * Flag download buttons whose platform has no build here
+     */
+    updateAvailability() {
+        for (const [selector, platform] of Object.entries(BUTTON_SELECTORS)) {
+            const available = Boolean(this.resolveDeviceType(platform));
+
+            document.querySelectorAll(selector).forEach(button => {
+                button.classList.toggle('download-btn--unavailable', !available);
+                if (available) {
+                    button.removeAttribute('aria-disabled');
+                    button.removeAttribute('title');
+                } else {
+                    button.setAttribute('aria-disabled', 'true');
+                    button.setAttribute('title', this.getUnavailableMessage(platform));
+                }
+            });
         }
+    }
 
-        const data1 = await response1.json();
-        
-        if (!data1.webhost) {
-            if (data1.code && data1.msg) {
-                this.showError(data1.msg);
-                return null;
-            }
-            throw new Error('未获取到有效的下载地址');
+    /**
+     * Message for platforms without a build
+     * @param {string} [platform] - Requested platform, 'auto' if none
+     * @returns {string}
+     */
+    getUnavailableMessage(platform = 'auto') {
+        // Scanning the QR code is no help on the phone itself
+        if (this.platform.os === 'ios') {
+            return t('download.unavailable.ios');
         }
 
-        // Second API call
-        const response2 = await fetch(data1.webhost);
-        if (!response2.ok) {
-            throw new Error(`HTTP error! status: ${response2.status}`);
+        // There is a build here, just not the one that was asked for
+        if (this.detectDeviceType()) {
+            return t(`download.unavailable.${platform}`);
         }
 
-        const data2 = await response2.json();
-        
-        if (!data2.go) {
-            if (data2.code && data2.msg) {
-                this.showError(data2.msg);
-                return null;
+        const names = {
+            macos: 'macOS',
+            linux: 'Linux',
+            chromeos: 'ChromeOS'
+        };
+        const name = names[this.platform.os] || t('download.unavailable.yourSystem');
+        return t('download.unavailable', { name });
+    }
+
+    /**
+     * Show the "not available for your platform" state
+     * @param {string} [platform] - Requested platform, 'auto' if none
+     */
+    showUnavailable(platform = 'auto') {
+        toast.info(this.getUnavailableMessage(platform));
+    }
+
+    /**
+     * Resolve the download by trying each resolver in turn
+     * A URL that fails the safety checks counts as a failed resolver.
+     * @param {string} deviceType - Device type
+     * @param {HTMLElement} button - Clicked button
+     * @returns {Promise<Object>} { url, sha256, version, resolver }
+     */
+    async resolveDownload(deviceType, button) {
+        let lastError = null;
+
+        for (const resolver of this.resolvers) {
+            const started = Date.now();
+            const hop = (outcome, error) => this.emit('download:hop', {
+                deviceType,
+                button,
+                resolver: resolver.name,
+                outcome,
+                error,
+                duration: Date.now() - started
+            });
+
+            try {
+                const resolved = await resolver.resolve({
+                    deviceType,
+                    button,
+                    retry: (task) => this.retry(task, button)
+                });
+                if (!resolved) {
+                    hop('skipped');
+                    continue;
+                }
+
+                const result = typeof resolved === 'string' ? { url: resolved } : resolved;
+                this.assertSafeUrl(result.url, deviceType);
+
+                this.lastResolver = resolver.name;
+                if (button) {
+                    button.dataset.resolvedBy = resolver.name;
+                }
+                hop('resolved');
+                return { ...result, resolver: resolver.name };
+            } catch (error) {
+                console.warn(`Resolver "${resolver.name}" failed:`, error);
+                hop('failed', error);
+                lastError = error;
             }
-            throw new Error('未获取到最终下载地址');
         }
 
-        return data2.go;
+        throw lastError || new DownloadError(ERROR_TYPES.MISSING_FIELD, { deviceType });
+    }
+
+    /**
+     * Refuse download URLs outside the configured safety rules
+     * @param {string} url - Download URL
+     * @param {string} [deviceType] - Build type, used for the extension check
+     */
+    assertSafeUrl(url, deviceType) {
+        const reason = this.checkUrl(url, deviceType);
+        if (reason) {
+            throw new DownloadError(ERROR_TYPES.UNSAFE_URL, { url, reason });
+        }
+    }
+
+    /**
+     * @param {string} url - Download URL
+     * @param {string} [deviceType] - Build type
+     * @returns {string|null} Why the URL is refused, or null when it is safe
+     */
+    checkUrl(url, deviceType) {
+        const { requireHttps, allowedHosts, extensions } = this.config.safety;
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'invalid url';
+        }
+
+        if (requireHttps ? parsed.protocol !== 'https:' : !/^https?:$/.test(parsed.protocol)) {
+            return `protocol ${parsed.protocol} not allowed`;
+        }
+
+        const host = parsed.hostname.toLowerCase();
+        const hostAllowed = allowedHosts.some(pattern => pattern.startsWith('*.')
+            ? host.endsWith(pattern.slice(1))
+            : host === pattern);
+        if (!hostAllowed) {
+            return `host ${host} not allowed`;
+        }
+
+        const allowedExtensions = deviceType && extensions[deviceType];
+        const path = parsed.pathname.toLowerCase();
+        if (allowedExtensions && !allowedExtensions.some(ext => path.endsWith(ext))) {
+            return `expected ${allowedExtensions.join('/')} for ${deviceType}`;
+        }
+
+        return null;
     }
 
     /**
      * Trigger file download
      * @param {string} url - Download URL
+     * @param {string} [deviceType] - Build type, used for the extension check
      */
-    downloadFile(url) {
+    downloadFile(url, deviceType) {
+        this.assertSafeUrl(url, deviceType);
+
         const link = document.createElement('a');
         link.href = url;
         link.setAttribute('download', '');
@@ -139,162 +657,158 @@ class DownloadManager {
         link.click();
         document.body.removeChild(link);
         
-        this.showSuccess('下载已开始');
+        this.showSuccess(t('download.started'));
     }
 
     /**
-     * Show loading state
+     * Show version and SHA-256 next to the button so users can verify the installer
+     * @param {HTMLElement} button - Clicked button
+     * @param {Object} result - { sha256, version }
      */
-    showLoadingState() {
-        const buttons = document.querySelectorAll('.download-btn');
-        buttons.forEach(button => {
-            button.style.opacity = '0.6';
-            button.style.pointerEvents = 'none';
-        });
+    showBuildInfo(button, { sha256, version }) {
+        if (!button || !button.parentElement || (!sha256 && !version)) return;
+
+        let info = button.parentElement.querySelector('.download-info');
+        if (!info) {
+            info = document.createElement('p');
+            info.className = 'download-info';
+            button.insertAdjacentElement('afterend', info);
+        }
+        info.textContent = '';
+
+        if (version) {
+            const versionEl = document.createElement('span');
+            versionEl.className = 'download-info__version';
+            versionEl.textContent = t('download.version', { version });
+            info.appendChild(versionEl);
+        }
+
+        if (sha256) {
+            const hashEl = document.createElement('code');
+            hashEl.className = 'download-info__sha256';
+            hashEl.textContent = `SHA-256: ${sha256}`;
+            info.appendChild(hashEl);
+        }
     }
 
     /**
-     * Hide loading state
+     * Show loading state on the clicked button
+     * @param {HTMLElement} [button] - Clicked button
      */
-    hideLoadingState() {
-        const buttons = document.querySelectorAll('.download-btn');
-        buttons.forEach(button => {
-            button.style.opacity = '1';
-            button.style.pointerEvents = 'auto';
-        });
+    showLoadingState(button) {
+        if (!button) return;
+
+        button.classList.add('download-btn--loading');
+        button.setAttribute('aria-busy', 'true');
+        this.setLoadingStatus(button, t('download.status.resolving'));
     }
 
     /**
-     * Show error message
-     * @param {string} message - Error message
+     * Update the progress text shown inside a loading button
+     * @param {HTMLElement} [button] - Clicked button
+     * @param {string} text - Status text
      */
-    showError(message) {
-        this.showNotification(message, 'error');
+    setLoadingStatus(button, text) {
+        if (!button) return;
+
+        let status = button.querySelector('.download-btn__status');
+        if (!status) {
+            status = document.createElement('span');
+            status.className = 'download-btn__status';
+            status.setAttribute('role', 'status');
+            button.appendChild(status);
+        }
+        status.textContent = text;
     }
 
     /**
-     * Show success message
-     * @param {string} message - Success message
+     * Hide loading state on the clicked button
+     * @param {HTMLElement} [button] - Clicked button
      */
-    showSuccess(message) {
-        this.showNotification(message, 'success');
+    hideLoadingState(button) {
+        if (!button) return;
+
+        button.classList.remove('download-btn--loading');
+        button.removeAttribute('aria-busy');
+
+        const status = button.querySelector('.download-btn__status');
+        if (status) {
+            status.remove();
+        }
     }
 
     /**
-     * Show notification
-     * @param {string} message - Message to show
-     * @param {string} type - 'success' or 'error'
+     * Show error message
+     * @param {string} message - Error message
+     * @param {Object} options - Toast options, e.g. { actions }
      */
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification--${type}`;
-        notification.innerHTML = `
-            <div class="notification__content">
-                <span class="notification__message">${message}</span>
-                <button class="notification__close" aria-label="关闭通知">×</button>
-            </div>
-        `;
-
-        // Add styles
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: ${type === 'error' ? '#ef4444' : '#10b981'};
-            color: white;
-            padding: 1rem;
-            border-radius: 0.5rem;
-            box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1);
-            z-index: 1000;
-            max-width: 300px;
-            animation: slideInRight 0.3s ease-out;
-        `;
-
-        // Add to page
-        document.body.appendChild(notification);
-
-        // Auto remove after 5 seconds
-        setTimeout(() => {
-            this.removeNotification(notification);
-        }, 5000);
-
-        // Close button functionality
-        const closeBtn = notification.querySelector('.notification__close');
-        closeBtn.addEventListener('click', () => {
-            this.removeNotification(notification);
-        });
+    showError(message, options = {}) {
+        toast.error(message, options);
     }
 
     /**
-     * Remove notification
-     * @param {HTMLElement} notification - Notification element
+     * Show success message
+     * @param {string} message - Success message
      */
-    removeNotification(notification) {
-        notification.style.animation = 'slideOutRight 0.3s ease-in';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
+    showSuccess(message) {
+        toast.success(message);
     }
 }
 
-// Add notification animations
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes slideInRight {
-        from {
-            transform: translateX(100%);
-            opacity: 0;
-        }
-        to {
-            transform: translateX(0);
-            opacity: 1;
-        }
+// Add download button styles
+registerStyles('download', `
+    .download-btn--unavailable {
+        opacity: 0.6;
+        cursor: not-allowed;
     }
     
-    @keyframes slideOutRight {
-        from {
-            transform: translateX(0);
-            opacity: 1;
-        }
-        to {
-            transform: translateX(100%);
-            opacity: 0;
-        }
+    .download-btn--loading {
+        opacity: 0.6;
+        pointer-events: none;
+        cursor: progress;
     }
     
-    .notification__content {
-        display: flex;
-        align-items: center;
-        justify-content: space-between;
-        gap: 0.5rem;
+    .download-btn__status {
+        display: block;
+        font-size: 0.75rem;
+        font-weight: normal;
     }
     
-    .notification__close {
-        background: none;
-        border: none;
-        color: white;
-        font-size: 1.25rem;
-        cursor: pointer;
-        padding: 0;
-        width: 20px;
-        height: 20px;
+    .download-info {
         display: flex;
-        align-items: center;
-        justify-content: center;
-        border-radius: 50%;
-        transition: background-color 0.2s;
+        flex-direction: column;
+        gap: 0.25rem;
+        margin-top: 0.5rem;
+        font-size: 0.75rem;
+        color: var(--color-text-secondary, #9ca3af);
+        word-break: break-all;
     }
     
-    .notification__close:hover {
-        background-color: rgba(255, 255, 255, 0.2);
+    .download-info__sha256 {
+        font-family: monospace;
+        user-select: all;
     }
-`;
-document.head.appendChild(style);
+`);
+
+let downloadManager = null;
+
+/**
+ * Create the shared manager and publish the window.Sigua API
+ */
+function initDownloadManager() {
+    if (downloadManager) return;
+
+    downloadManager = new DownloadManager();
+    window.Sigua = window.Sigua || {};
+    window.Sigua.downloadManager = downloadManager;
+    window.Sigua.download = (platform) => downloadManager.download(platform);
+}
+
+// The legacy shim may import this module after the DOM is already loaded
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initDownloadManager);
+} else {
+    initDownloadManager();
+}
 
-// Initialize download manager when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new DownloadManager();
-});
+export { DownloadManager, DOWNLOAD_CONFIG };
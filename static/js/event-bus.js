@@ -0,0 +1,54 @@
+/**
+ * Event Bus for Sigua.io
+ * Minimal publish/subscribe channel shared by the page managers
+ */
+
+export class EventBus {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - Event name, e.g. 'route:change'
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} type - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Publish an event; a failing handler does not stop the others
+     * @param {string} type - Event name
+     * @param {Object} detail - Event payload
+     */
+    emit(type, detail = {}) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        [...handlers].forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Error in ${type} handler:`, error);
+            }
+        });
+    }
+}
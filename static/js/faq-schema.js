@@ -0,0 +1,144 @@
+/**
+ * FAQ structured data for Sigua.io
+ * Builds a schema.org FAQPage from the question/answer pairs on the page
+ * and merges it into the page's existing JSON-LD, so rich results follow
+ * whatever the FAQ markup currently says, in the language it is shown in.
+ */
+
+/**
+ * Default FAQ schema configuration
+ * `sources` lists the FAQ markups to read: the homepage accordion and the
+ * FAQ blocks on the guide pages. Pages can override it through
+ * window.SIGUA_FAQ_SCHEMA_CONFIG.
+ */
+const FAQ_SCHEMA_CONFIG = {
+    sources: [
+        { item: '.faq-item', question: '.faq-item__question', answer: '.faq-item__answer' },
+        { item: '.faqsu-faq-single', question: '.faqsu-faq-question', answer: '.faqsu-faq-answare' }
+    ]
+};
+
+class FAQSchema {
+    constructor(config = window.SIGUA_FAQ_SCHEMA_CONFIG || {}) {
+        this.config = { ...FAQ_SCHEMA_CONFIG, ...config };
+        this.init();
+    }
+
+    init() {
+        this.update();
+
+        // i18n.js has already swapped the FAQ text when this fires
+        document.addEventListener('locale:change', () => this.update());
+    }
+
+    /**
+     * Rebuild the FAQPage node from the FAQ as it reads now
+     */
+    update() {
+        const questions = this.collectQuestions();
+        if (questions.length === 0) return;
+
+        this.merge(this.buildFAQPage(questions));
+    }
+
+    /**
+     * Read question/answer pairs from every configured source
+     * @returns {Array<Object>} [{ question, answer }]
+     */
+    collectQuestions() {
+        const seen = new Set();
+        const questions = [];
+
+        this.config.sources.forEach(source => {
+            document.querySelectorAll(source.item).forEach(item => {
+                const question = cleanText(item.querySelector(source.question));
+                const answer = cleanText(item.querySelector(source.answer));
+                if (!question || !answer || seen.has(question)) return;
+
+                seen.add(question);
+                questions.push({ question, answer });
+            });
+        });
+
+        return questions;
+    }
+
+    /**
+     * @param {Array<Object>} questions - [{ question, answer }]
+     * @returns {Object} FAQPage node
+     */
+    buildFAQPage(questions) {
+        const url = new URL(window.location.href);
+        url.hash = '';
+
+        return {
+            '@type': 'FAQPage',
+            '@id': `${url.href}#faq`,
+            mainEntity: questions.map(({ question, answer }) => ({
+                '@type': 'Question',
+                name: question,
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: answer
+                }
+            }))
+        };
+    }
+
+    /**
+     * Put the FAQPage node into the existing JSON-LD
+     * An existing FAQPage node is replaced in place; otherwise the node joins
+     * the first block's @graph. A new block is only added when the page has
+     * none, so rebuilding never adds a second one.
+     * @param {Object} faqPage - FAQPage node
+     */
+    merge(faqPage) {
+        const blocks = [...document.querySelectorAll('script[type="application/ld+json"]')]
+            .map(script => ({ script, data: parseJsonLd(script) }))
+            .filter(block => block.data);
+
+        const target = blocks.find(block => graphOf(block.data).some(isFAQPage)) || blocks[0];
+
+        if (!target) {
+            const script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.textContent = JSON.stringify({ '@context': 'https://schema.org', ...faqPage });
+            document.head.appendChild(script);
+            return;
+        }
+
+        const { '@context': context = 'https://schema.org', ...rest } = target.data;
+        const graph = (rest['@graph'] || [rest]).filter(node => !isFAQPage(node));
+        graph.push(faqPage);
+
+        target.script.textContent = JSON.stringify({ '@context': context, '@graph': graph });
+    }
+}
+
+function cleanText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+function parseJsonLd(script) {
+    try {
+        return JSON.parse(script.textContent);
+    } catch (error) {
+        console.warn('Skipping invalid JSON-LD block:', error);
+        return null;
+    }
+}
+
+function graphOf(data) {
+    return data['@graph'] || [data];
+}
+
+function isFAQPage(node) {
+    return [].concat(node['@type']).includes('FAQPage');
+}
+
+// Initialize FAQ structured data when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new FAQSchema();
+});
+
+export { FAQSchema, FAQ_SCHEMA_CONFIG };
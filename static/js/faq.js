@@ -0,0 +1,337 @@
+/**
+ * FAQ Accordion for Sigua.io
+ * WAI-ARIA disclosure widgets with deep-linkable slugs and instant search
+ * Opening an item dispatches a bubbling `faq:open` event with { slug }.
+ */
+
+import { t } from './i18n.js';
+import { registerStyles } from './styles.js';
+
+export class FAQAccordion {
+    /**
+     * @param {HTMLElement} root - Element containing the `.faq-item`s
+     * @param {Object} options - { multiple, search }
+     */
+    constructor(root, { multiple = false, search = true } = {}) {
+        this.root = root;
+        this.multiple = multiple;
+        this.items = [];
+        this.init(search);
+    }
+
+    init(search) {
+        const usedSlugs = new Set();
+
+        this.root.querySelectorAll('.faq-item').forEach((element, index) => {
+            const question = element.querySelector('.faq-item__question');
+            const answer = element.querySelector('.faq-item__answer');
+            if (!question || !answer) return;
+
+            const slug = uniqueSlug(element.dataset.faqSlug || slugify(question.textContent) || `q${index + 1}`, usedSlugs);
+            const item = { element, question, answer, slug, toggle: this.createToggle(question, answer, slug) };
+
+            element.id = element.id || `faq-${slug}`;
+            element.dataset.faqSlug = slug;
+            answer.hidden = !element.classList.contains('faq-item--open');
+
+            this.items.push(item);
+        });
+
+        this.root.addEventListener('click', (e) => {
+            // The heading's +/× marker sits outside the button
+            const question = e.target.closest('.faq-item__question');
+            const item = question && this.items.find(i => i.question === question);
+            if (item) {
+                this.setOpen(item, !this.isOpen(item));
+            }
+        });
+
+        this.root.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        if (search) {
+            this.createSearch();
+        }
+    }
+
+    /**
+     * Wrap the question text in a button wired to the answer region
+     * @returns {HTMLButtonElement}
+     */
+    createToggle(question, answer, slug) {
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'faq-item__toggle';
+        toggle.id = `faq-question-${slug}`;
+        toggle.setAttribute('aria-expanded', 'false');
+        toggle.setAttribute('aria-controls', `faq-answer-${slug}`);
+
+        while (question.firstChild) {
+            toggle.appendChild(question.firstChild);
+        }
+        question.appendChild(toggle);
+
+        answer.id = `faq-answer-${slug}`;
+        answer.setAttribute('role', 'region');
+        answer.setAttribute('aria-labelledby', toggle.id);
+
+        return toggle;
+    }
+
+    isOpen(item) {
+        return item.element.classList.contains('faq-item--open');
+    }
+
+    /**
+     * Open or close an item
+     * @param {Object} item - FAQ item
+     * @param {boolean} open - Target state
+     */
+    setOpen(item, open) {
+        if (open && !this.multiple) {
+            this.items.filter(other => other !== item && this.isOpen(other))
+                .forEach(other => this.setOpen(other, false));
+        }
+
+        item.element.classList.toggle('faq-item--open', open);
+        item.toggle.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            item.answer.hidden = false;
+            void item.answer.offsetHeight; // restart the transition from 0
+            item.answer.style.maxHeight = `${item.answer.scrollHeight}px`;
+            item.element.dispatchEvent(new CustomEvent('faq:open', {
+                bubbles: true,
+                detail: { slug: item.slug }
+            }));
+        } else {
+            item.answer.style.maxHeight = '0';
+            // Hide from assistive tech once the collapse transition is over
+            setTimeout(() => {
+                if (!this.isOpen(item)) {
+                    item.answer.hidden = true;
+                }
+            }, 300);
+        }
+    }
+
+    /**
+     * Open an item by slug or 1-based position, e.g. from `#faq/<slug>`
+     * @param {string} key - Slug or position
+     * @param {Object} options - { scroll }
+     * @returns {boolean} Whether an item was found
+     */
+    open(key, { scroll = false } = {}) {
+        const item = this.items.find(i => i.slug === key) ||
+            (/^\d+$/.test(key) ? this.items[Number(key) - 1] : null);
+        if (!item) return false;
+
+        if (!this.isOpen(item)) {
+            this.setOpen(item, true);
+        }
+
+        if (scroll) {
+            const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+            requestAnimationFrame(() => {
+                item.element.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'start' });
+                item.toggle.focus({ preventScroll: true });
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Arrow keys, Home and End move between questions
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        const visible = this.items.filter(i => !i.element.hidden);
+        const index = visible.findIndex(i => i.toggle === e.target);
+        if (index === -1) return;
+
+        const targets = {
+            ArrowDown: visible[(index + 1) % visible.length],
+            ArrowUp: visible[(index - 1 + visible.length) % visible.length],
+            Home: visible[0],
+            End: visible[visible.length - 1]
+        };
+
+        const target = targets[e.key];
+        if (target) {
+            e.preventDefault();
+            target.toggle.focus();
+        }
+    }
+
+    createSearch() {
+        const container = document.createElement('div');
+        container.className = 'faq-search';
+
+        this.searchInput = document.createElement('input');
+        this.searchInput.type = 'search';
+        this.searchInput.className = 'faq-search__input';
+
+        this.searchStatus = document.createElement('p');
+        this.searchStatus.className = 'faq-search__status';
+        this.searchStatus.setAttribute('role', 'status');
+
+        container.append(this.searchInput, this.searchStatus);
+        this.root.parentNode.insertBefore(container, this.root);
+        this.translateSearch();
+
+        this.searchInput.addEventListener('input', () => this.filter(this.searchInput.value));
+        document.addEventListener('locale:change', () => {
+            this.translateSearch();
+            this.filter(this.searchInput.value);
+        });
+    }
+
+    translateSearch() {
+        this.searchInput.placeholder = t('faq.search.label');
+        this.searchInput.setAttribute('aria-label', t('faq.search.label'));
+    }
+
+    /**
+     * Show only items matching the query and highlight the matches
+     * @param {string} query - Search text
+     */
+    filter(query) {
+        const needle = query.trim().toLowerCase();
+        let matches = 0;
+
+        this.items.forEach(item => {
+            clearHighlights(item.element);
+            const text = `${item.toggle.textContent} ${item.answer.textContent}`.toLowerCase();
+            const match = !needle || text.includes(needle);
+
+            item.element.hidden = !match;
+            if (match && needle) {
+                highlight(item.toggle, needle);
+                highlight(item.answer, needle);
+                matches++;
+            }
+        });
+
+        if (!needle) {
+            this.searchStatus.textContent = '';
+        } else {
+            this.searchStatus.textContent = matches
+                ? t('faq.search.found', { count: matches })
+                : t('faq.search.none');
+        }
+    }
+}
+
+/**
+ * Turn question text into a URL slug; CJK characters are kept
+ * @param {string} text - Question text
+ * @returns {string}
+ */
+function slugify(text) {
+    return text
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function uniqueSlug(slug, used) {
+    let candidate = slug;
+    for (let n = 2; used.has(candidate); n++) {
+        candidate = `${slug}-${n}`;
+    }
+    used.add(candidate);
+    return candidate;
+}
+
+function clearHighlights(element) {
+    element.querySelectorAll('mark.faq-highlight').forEach(mark => {
+        const parent = mark.parentNode;
+        parent.replaceChild(document.createTextNode(mark.textContent), mark);
+        parent.normalize();
+    });
+}
+
+/**
+ * Wrap case-insensitive occurrences of needle in <mark>, text nodes only
+ * @param {HTMLElement} element - Element to search
+ * @param {string} needle - Lower-cased search text
+ */
+function highlight(element, needle) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+    }
+
+    nodes.forEach(node => {
+        let text = node.textContent;
+        let index = text.toLowerCase().indexOf(needle);
+        if (index === -1) return;
+
+        const fragment = document.createDocumentFragment();
+        while (index !== -1) {
+            fragment.appendChild(document.createTextNode(text.slice(0, index)));
+            const mark = document.createElement('mark');
+            mark.className = 'faq-highlight';
+            mark.textContent = text.slice(index, index + needle.length);
+            fragment.appendChild(mark);
+            text = text.slice(index + needle.length);
+            index = text.toLowerCase().indexOf(needle);
+        }
+        fragment.appendChild(document.createTextNode(text));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+// Add FAQ styles
+registerStyles('faq', `
+    .faq-item__toggle {
+        display: block;
+        width: 100%;
+        padding: 0;
+        padding-right: 2rem;
+        background: none;
+        border: 0;
+        color: inherit;
+        font: inherit;
+        text-align: left;
+        cursor: pointer;
+    }
+
+    .faq-item__toggle:focus-visible {
+        outline: 2px solid var(--color-accent-pink);
+        outline-offset: 4px;
+    }
+
+    .faq-search {
+        max-width: 800px;
+        margin: 0 auto var(--spacing-lg);
+    }
+
+    .faq-search__input {
+        width: 100%;
+        padding: 0.75rem 1rem;
+        background: var(--color-secondary);
+        border: 1px solid transparent;
+        border-radius: var(--radius-md);
+        color: var(--color-text-primary);
+        font: inherit;
+    }
+
+    .faq-search__input:focus {
+        outline: none;
+        border-color: var(--color-accent-pink);
+    }
+
+    .faq-search__status {
+        margin-top: 0.5rem;
+        font-size: var(--font-size-sm);
+        color: var(--color-text-secondary);
+    }
+
+    .faq-highlight {
+        background: var(--color-accent-pink);
+        color: inherit;
+        border-radius: 2px;
+    }
+`);
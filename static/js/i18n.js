@@ -0,0 +1,209 @@
+/**
+ * Internationalization for Sigua.io
+ * Message catalogs live in ./locales, one flat key map per locale.
+ * Messages interpolate `{name}` placeholders; a message may also be an
+ * object of plural forms (one, few, other...) picked by `params.count`.
+ *
+ * Markup:
+ *   <h2 data-i18n="faq.title">常见问题</h2>
+ *   <button data-i18n-attr="aria-label:nav.toggle">
+ *   <select data-i18n-switcher>  (options carry the locale codes)
+ *
+ * The page is written in the fallback locale, so nothing changes when it
+ * is active and untranslated markup still reads correctly.
+ */
+
+import zhCN from './locales/zh-CN.js';
+import zhTW from './locales/zh-TW.js';
+import en from './locales/en.js';
+
+/**
+ * Default i18n configuration
+ * Pages can override it through window.SIGUA_I18N_CONFIG.
+ */
+const I18N_CONFIG = {
+    locales: ['zh-CN', 'zh-TW', 'en'],
+    fallback: 'zh-CN',
+    storageKey: 'sigua:locale'
+};
+
+const CATALOGS = {
+    'zh-CN': zhCN,
+    'zh-TW': zhTW,
+    en
+};
+
+// Regions and scripts that read Traditional Chinese
+const TRADITIONAL = /^zh-(tw|hk|mo|hant)/i;
+
+class I18n {
+    constructor(config = window.SIGUA_I18N_CONFIG || {}) {
+        this.config = { ...I18N_CONFIG, ...config };
+        this.catalogs = CATALOGS;
+        this.locale = this.detectLocale();
+        this.pluralRules = new Map();
+    }
+
+    /**
+     * Stored user choice first, then the browser's preferred languages
+     * @returns {string} Supported locale code
+     */
+    detectLocale() {
+        const stored = this.getStoredLocale();
+        if (stored) return stored;
+
+        const preferred = navigator.languages && navigator.languages.length > 0
+            ? navigator.languages
+            : [navigator.language];
+
+        for (const language of preferred) {
+            const locale = this.match(language);
+            if (locale) return locale;
+        }
+
+        return this.config.fallback;
+    }
+
+    /**
+     * Map a BCP 47 tag to one of the supported locales
+     * @param {string} language - e.g. 'zh-HK', 'zh-Hans-CN', 'en-GB'
+     * @returns {string|null}
+     */
+    match(language) {
+        if (!language) return null;
+
+        const exact = this.config.locales.find(locale => locale.toLowerCase() === language.toLowerCase());
+        if (exact) return exact;
+
+        let locale = language.split('-')[0].toLowerCase();
+        if (locale === 'zh') {
+            locale = TRADITIONAL.test(language) ? 'zh-TW' : 'zh-CN';
+        }
+        return this.config.locales.includes(locale) ? locale : null;
+    }
+
+    getStoredLocale() {
+        try {
+            const stored = localStorage.getItem(this.config.storageKey);
+            return this.config.locales.includes(stored) ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Translate a key
+     * @param {string} key - Catalog key
+     * @param {Object} params - Placeholder values; `count` selects the plural form
+     * @returns {string} Message, or the key itself when no catalog has it
+     */
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key);
+        if (message === undefined) {
+            message = this.lookup(this.config.fallback, key);
+        }
+        if (message === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = message[this.getPluralRules().select(Number(params.count))] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined ? String(params[name]) : placeholder
+        );
+    }
+
+    lookup(locale, key) {
+        const catalog = this.catalogs[locale];
+        return catalog ? catalog[key] : undefined;
+    }
+
+    getPluralRules() {
+        if (!this.pluralRules.has(this.locale)) {
+            this.pluralRules.set(this.locale, new Intl.PluralRules(this.locale));
+        }
+        return this.pluralRules.get(this.locale);
+    }
+
+    /**
+     * Switch locale, retranslate the page and notify other modules
+     * @param {string} locale - Supported locale code
+     * @param {Object} options
+     * @param {boolean} options.persist - Remember the choice (default true)
+     */
+    setLocale(locale, { persist = true } = {}) {
+        if (!this.config.locales.includes(locale)) return;
+
+        if (persist) {
+            try {
+                localStorage.setItem(this.config.storageKey, locale);
+            } catch (error) {
+                // Private mode: the choice lasts for this page only
+            }
+        }
+
+        if (locale === this.locale) return;
+
+        this.locale = locale;
+        this.translatePage();
+        document.dispatchEvent(new CustomEvent('locale:change', {
+            detail: { locale }
+        }));
+    }
+
+    /**
+     * Translate `data-i18n` text and `data-i18n-attr` attributes under root
+     * @param {ParentNode} root - Document or element
+     */
+    translatePage(root = document) {
+        if (root === document) {
+            document.documentElement.lang = this.locale;
+        }
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+
+        root.querySelectorAll('[data-i18n-switcher]').forEach(switcher => {
+            switcher.value = this.locale;
+        });
+    }
+
+    /**
+     * Wire up language switchers on the page
+     */
+    bindSwitchers() {
+        document.querySelectorAll('[data-i18n-switcher]').forEach(switcher => {
+            switcher.value = this.locale;
+            switcher.addEventListener('change', () => this.setLocale(switcher.value));
+        });
+    }
+}
+
+const i18n = new I18n();
+
+// Module scripts run after the document is parsed, so the page is
+// translated before any DOMContentLoaded handler reads its text
+if (i18n.locale !== i18n.config.fallback) {
+    i18n.translatePage();
+}
+i18n.bindSwitchers();
+
+window.Sigua = window.Sigua || {};
+window.Sigua.i18n = i18n;
+
+const t = (key, params) => i18n.t(key, params);
+
+export { I18n, I18N_CONFIG, i18n, t };
@@ -0,0 +1,648 @@
+/**
+ * Images for Sigua.io
+ * - `img[data-src]` is loaded when it nears the viewport, behind a blurred
+ *   low-res variant; srcset/sizes are built from the pre-cut sizes listed
+ *   in static/data/images.json (scripts/build-image-manifest.mjs)
+ * - Article screenshots open in a lightbox with zoom, swipe and
+ *   keyboard navigation
+ */
+
+import { registerStyles } from './styles.js';
+import { i18n, t } from './i18n.js';
+
+/**
+ * Default image configuration
+ * Pages can override it through window.SIGUA_IMAGES_CONFIG.
+ */
+const IMAGES_CONFIG = {
+    manifest: new URL('../data/images.json', import.meta.url).href,
+    // Manifest paths are relative to the site root
+    siteRoot: new URL('../../', import.meta.url).href,
+    lazy: 'img[data-src]',
+    rootMargin: '200px 0px',
+    // Widest variant still used as the blurred placeholder
+    placeholderMaxWidth: 400,
+    lightbox: 'article img',
+    maxZoom: 4
+};
+
+const SWIPE_DISTANCE = 50;
+
+/**
+ * Size variants of each image, from the build-time manifest
+ */
+class ImageVariants {
+    /**
+     * @param {Object} images - Original path -> [[path, width, height], ...]
+     * @param {string} siteRoot - Base URL of the manifest paths
+     */
+    constructor(images = {}, siteRoot = document.baseURI) {
+        // Absolute URL of every file -> its group, narrowest first
+        this.groups = new Map();
+
+        Object.values(images).forEach(files => {
+            const group = files.map(([path, width, height]) => ({
+                url: new URL(path, siteRoot).href,
+                width,
+                height
+            }));
+            group.forEach(variant => this.groups.set(variant.url, group));
+        });
+    }
+
+    /**
+     * @param {string} url - Manifest URL
+     * @param {string} siteRoot - Base URL of the manifest paths
+     * @returns {Promise<ImageVariants>} Empty when the manifest is missing
+     */
+    static async load(url, siteRoot) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { images } = await response.json();
+            return new ImageVariants(images, siteRoot);
+        } catch (error) {
+            console.warn('Image manifest unavailable, loading images without srcset:', error);
+            return new ImageVariants();
+        }
+    }
+
+    /**
+     * @param {string} src - Image URL, relative to the page or absolute
+     * @returns {Array<Object>|null} [{ url, width, height }], narrowest first
+     */
+    find(src) {
+        return this.groups.get(new URL(src, document.baseURI).href) || null;
+    }
+
+    /**
+     * @param {string} src - Image URL
+     * @returns {Object|null} The file's own entry
+     */
+    entry(src) {
+        const url = new URL(src, document.baseURI).href;
+        const group = this.groups.get(url);
+        return group ? group.find(variant => variant.url === url) : null;
+    }
+
+    /**
+     * Widest variant of an image, for the lightbox
+     * @param {string} src - Image URL
+     * @returns {string}
+     */
+    largest(src) {
+        const group = this.find(src);
+        return group ? group[group.length - 1].url : src;
+    }
+}
+
+class LazyImages {
+    /**
+     * @param {ImageVariants} variants
+     * @param {Object} config - Image configuration
+     */
+    constructor(variants, config) {
+        this.variants = variants;
+        this.config = config;
+
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((records) => {
+                records.forEach(record => {
+                    if (!record.isIntersecting) return;
+                    this.observer.unobserve(record.target);
+                    this.load(record.target);
+                });
+            }, { rootMargin: config.rootMargin });
+        }
+
+        document.querySelectorAll(config.lazy).forEach(img => this.add(img));
+    }
+
+    /**
+     * Show the placeholder and wait for the image to near the viewport
+     * @param {HTMLImageElement} img
+     */
+    add(img) {
+        const { src } = img.dataset;
+        const own = this.variants.entry(src);
+        const group = this.variants.find(src) || [];
+
+        // Reserve the final box so nothing shifts when the image arrives
+        if (own && !img.hasAttribute('width') && !img.hasAttribute('height')) {
+            img.width = own.width;
+            img.height = own.height;
+        }
+
+        img.classList.add('lazy-img');
+        const placeholder = group.find(variant => variant.width <= this.config.placeholderMaxWidth);
+        if (placeholder && (!own || placeholder.url !== own.url)) {
+            img.src = placeholder.url;
+            img.classList.add('lazy-img--blur');
+        }
+
+        if (this.observer) {
+            this.observer.observe(img);
+        } else {
+            this.load(img);
+        }
+    }
+
+    /**
+     * Swap in the real image, with srcset when variants exist
+     * It is fetched off-screen first, so the placeholder stays up until
+     * the image can be shown in one go.
+     * @param {HTMLImageElement} img
+     */
+    load(img) {
+        const { src } = img.dataset;
+        delete img.dataset.src;
+
+        const group = this.variants.find(src);
+        const loader = new Image();
+        if (group && group.length > 1) {
+            loader.sizes = img.dataset.sizes || this.getSizes(img, group);
+            loader.srcset = group.map(variant => `${variant.url} ${variant.width}w`).join(', ');
+        }
+        loader.src = new URL(src, document.baseURI).href;
+
+        const show = () => {
+            if (loader.srcset) {
+                img.sizes = loader.sizes;
+                img.srcset = loader.srcset;
+            }
+            img.src = loader.src;
+            img.classList.remove('lazy-img--blur');
+            img.classList.add('lazy-img--loaded');
+        };
+
+        if (typeof loader.decode === 'function') {
+            loader.decode().then(show, show);
+        } else {
+            loader.onload = show;
+            loader.onerror = show;
+        }
+    }
+
+    /**
+     * Rendered width when laid out, otherwise the WordPress default
+     * @param {HTMLImageElement} img
+     * @param {Array<Object>} group - Variants, narrowest first
+     * @returns {string}
+     */
+    getSizes(img, group) {
+        const rendered = Math.ceil(img.getBoundingClientRect().width);
+        if (rendered > 0) return `${rendered}px`;
+
+        const widest = group[group.length - 1].width;
+        return `(max-width: ${widest}px) 100vw, ${widest}px`;
+    }
+}
+
+class Lightbox {
+    /**
+     * @param {Array<HTMLImageElement>} images - Images that open the lightbox
+     * @param {ImageVariants} variants
+     * @param {Object} config - Image configuration
+     */
+    constructor(images, variants, config) {
+        this.images = images;
+        this.variants = variants;
+        this.config = config;
+        this.index = -1;
+        this.pointers = new Map();
+        // [element, key] pairs relabelled on locale:change
+        this.labels = [];
+        this.resetZoom();
+        this.createOverlay();
+        this.bindImages();
+
+        document.addEventListener('locale:change', () => {
+            this.translate();
+            if (this.isOpen()) this.updateCaption();
+        });
+    }
+
+    bindImages() {
+        this.images.forEach((img, index) => {
+            img.classList.add('lightbox-trigger');
+            img.tabIndex = 0;
+            img.setAttribute('aria-haspopup', 'dialog');
+            img.addEventListener('click', () => this.open(index));
+            img.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.open(index);
+                }
+            });
+        });
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'lightbox';
+        this.overlay.hidden = true;
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.labels.push([this.overlay, 'lightbox.label']);
+
+        this.stage = document.createElement('div');
+        this.stage.className = 'lightbox__stage';
+
+        this.image = document.createElement('img');
+        this.image.className = 'lightbox__img';
+        this.image.draggable = false;
+        this.stage.appendChild(this.image);
+
+        this.caption = document.createElement('p');
+        this.caption.className = 'lightbox__caption';
+        this.caption.setAttribute('aria-live', 'polite');
+
+        const button = (className, key, text, onClick) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = `lightbox__btn ${className}`;
+            this.labels.push([element, key]);
+            element.textContent = text;
+            element.addEventListener('click', onClick);
+            return element;
+        };
+
+        this.prevButton = button('lightbox__prev', 'lightbox.prev', '‹', () => this.show(this.index - 1));
+        this.nextButton = button('lightbox__next', 'lightbox.next', '›', () => this.show(this.index + 1));
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'lightbox__toolbar';
+        toolbar.append(
+            button('lightbox__zoom-out', 'lightbox.zoomOut', '−', () => this.zoomBy(1 / 1.5)),
+            button('lightbox__zoom-in', 'lightbox.zoomIn', '+', () => this.zoomBy(1.5)),
+            button('lightbox__close', 'lightbox.close', '×', () => this.close())
+        );
+
+        this.overlay.append(this.stage, this.prevButton, this.nextButton, toolbar, this.caption);
+        this.translate();
+        document.body.appendChild(this.overlay);
+
+        this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.stage.addEventListener('click', (e) => {
+            if (e.target === this.stage && this.scale === 1) this.close();
+        });
+        this.stage.addEventListener('dblclick', (e) => {
+            this.zoomTo(this.scale > 1 ? 1 : 2, e.clientX, e.clientY);
+        });
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX, e.clientY);
+        }, { passive: false });
+
+        this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.stage.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.stage.addEventListener('pointercancel', (e) => this.pointers.delete(e.pointerId));
+    }
+
+    translate() {
+        // Guide pages mark their own content zh-Hans; the dialog follows the locale
+        this.overlay.lang = i18n.locale;
+        this.labels.forEach(([element, key]) => element.setAttribute('aria-label', t(key)));
+    }
+
+    isOpen() {
+        return !this.overlay.hidden;
+    }
+
+    /**
+     * @param {number} index - Position of the image in the article
+     */
+    open(index) {
+        if (!this.isOpen()) {
+            this.opener = document.activeElement;
+            this.overlay.hidden = false;
+            document.body.classList.add('lightbox-open');
+
+            // Everything behind the dialog is out of reach until it closes
+            this.inertElements = [...document.body.children].filter(el => el !== this.overlay && !el.inert);
+            this.inertElements.forEach(el => { el.inert = true; });
+        }
+
+        this.show(index);
+        this.overlay.querySelector('.lightbox__close').focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.overlay.hidden = true;
+        document.body.classList.remove('lightbox-open');
+        this.inertElements.forEach(el => { el.inert = false; });
+        this.inertElements = [];
+        this.pointers.clear();
+
+        if (this.opener && this.opener.isConnected) {
+            this.opener.focus();
+        }
+    }
+
+    /**
+     * @param {number} index - Image position; wraps around at either end
+     */
+    show(index) {
+        const count = this.images.length;
+        this.index = (index + count) % count;
+
+        const source = this.images[this.index];
+        this.image.src = this.variants.largest(source.dataset.src || source.getAttribute('src'));
+        this.image.alt = source.alt;
+        this.updateCaption();
+
+        const single = count < 2;
+        this.prevButton.hidden = single;
+        this.nextButton.hidden = single;
+        this.resetZoom();
+    }
+
+    /**
+     * Alt text and position of the current image
+     */
+    updateCaption() {
+        const counter = t('lightbox.counter', { index: this.index + 1, count: this.images.length });
+        this.caption.textContent = [this.images[this.index].alt, counter].filter(Boolean).join(' · ');
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.applyTransform();
+    }
+
+    /**
+     * @param {number} factor - Multiplier for the current scale
+     * @param {number} [clientX] - Point to zoom around; defaults to the centre
+     * @param {number} [clientY]
+     */
+    zoomBy(factor, clientX, clientY) {
+        this.zoomTo(this.scale * factor, clientX, clientY);
+    }
+
+    zoomTo(scale, clientX, clientY) {
+        const next = Math.min(this.config.maxZoom, Math.max(1, scale));
+        if (next === 1) {
+            this.resetZoom();
+            return;
+        }
+
+        // Keep the point under the cursor in place
+        const rect = this.stage.getBoundingClientRect();
+        const originX = (clientX !== undefined ? clientX : rect.left + rect.width / 2) - rect.left - rect.width / 2;
+        const originY = (clientY !== undefined ? clientY : rect.top + rect.height / 2) - rect.top - rect.height / 2;
+        const ratio = next / this.scale;
+
+        this.x = originX - (originX - this.x) * ratio;
+        this.y = originY - (originY - this.y) * ratio;
+        this.scale = next;
+        this.applyTransform();
+    }
+
+    applyTransform() {
+        if (!this.image) return;
+        this.image.style.transform = this.scale === 1
+            ? ''
+            : `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.image.classList.toggle('lightbox__img--zoomed', this.scale > 1);
+    }
+
+    handlePointerDown(e) {
+        this.stage.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+
+        if (this.pointers.size === 2) {
+            const [a, b] = [...this.pointers.values()];
+            this.pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y), scale: this.scale };
+        }
+    }
+
+    handlePointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        const dx = e.clientX - pointer.x;
+        const dy = e.clientY - pointer.y;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        if (this.pointers.size === 2 && this.pinch) {
+            const [a, b] = [...this.pointers.values()];
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            this.zoomTo(this.pinch.scale * distance / this.pinch.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        } else if (this.scale > 1) {
+            this.x += dx;
+            this.y += dy;
+            this.applyTransform();
+        }
+    }
+
+    handlePointerUp(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        this.pointers.delete(e.pointerId);
+        if (this.pointers.size < 2) this.pinch = null;
+        if (!pointer || this.scale > 1 || this.pointers.size > 0) return;
+
+        // A horizontal swipe at normal size moves between images
+        const dx = e.clientX - pointer.startX;
+        const dy = e.clientY - pointer.startY;
+        if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) && this.images.length > 1) {
+            this.show(this.index + (dx < 0 ? 1 : -1));
+        }
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.show(this.index - 1);
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.show(this.index + 1);
+                break;
+            case '+':
+            case '=':
+                e.preventDefault();
+                this.zoomBy(1.5);
+                break;
+            case '-':
+                e.preventDefault();
+                this.zoomBy(1 / 1.5);
+                break;
+            case '0':
+                e.preventDefault();
+                this.resetZoom();
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+
+    trapFocus(e) {
+        const buttons = [...this.overlay.querySelectorAll('.lightbox__btn')].filter(button => !button.hidden);
+        const first = buttons[0];
+        const last = buttons[buttons.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Add lazy image and lightbox styles
+registerStyles('images', `
+    .lazy-img {
+        background-color: var(--color-surface);
+        transition: filter 0.4s ease;
+    }
+
+    .lazy-img[width][height] {
+        height: auto;
+    }
+
+    .lazy-img--blur {
+        filter: blur(12px);
+        clip-path: inset(0);
+    }
+
+    .lightbox-trigger {
+        cursor: zoom-in;
+    }
+
+    .lightbox-trigger:focus-visible {
+        outline: 2px solid var(--color-accent-pink);
+        outline-offset: 2px;
+    }
+
+    .lightbox-open {
+        overflow: hidden;
+    }
+
+    .lightbox {
+        position: fixed;
+        inset: 0;
+        z-index: 1200;
+        background: var(--color-lightbox-backdrop);
+        color: var(--color-lightbox-text);
+    }
+
+    .lightbox[hidden] {
+        display: none;
+    }
+
+    .lightbox__stage {
+        position: absolute;
+        inset: 3.5rem 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        overflow: hidden;
+        touch-action: none;
+    }
+
+    .lightbox__img {
+        max-width: 100%;
+        max-height: 100%;
+        object-fit: contain;
+        transition: transform 0.15s ease-out;
+        user-select: none;
+        cursor: zoom-in;
+    }
+
+    .lightbox__img--zoomed {
+        cursor: grab;
+    }
+
+    .lightbox__toolbar {
+        position: absolute;
+        top: 0.5rem;
+        right: 0.5rem;
+        display: flex;
+        gap: 0.25rem;
+    }
+
+    .lightbox__btn {
+        width: 2.75rem;
+        height: 2.75rem;
+        border: none;
+        border-radius: 9999px;
+        background: var(--color-lightbox-control);
+        color: inherit;
+        font-size: 1.5rem;
+        line-height: 1;
+        cursor: pointer;
+    }
+
+    .lightbox__btn:hover {
+        background: var(--color-lightbox-control-hover);
+    }
+
+    .lightbox__btn:focus-visible {
+        outline: 2px solid var(--color-accent-pink);
+        outline-offset: 2px;
+    }
+
+    .lightbox__prev,
+    .lightbox__next {
+        position: absolute;
+        top: 50%;
+        transform: translateY(-50%);
+        font-size: 2rem;
+    }
+
+    .lightbox__prev {
+        left: 0.5rem;
+    }
+
+    .lightbox__next {
+        right: 0.5rem;
+    }
+
+    .lightbox__caption {
+        position: absolute;
+        bottom: 0;
+        left: 0;
+        right: 0;
+        padding: 1rem;
+        text-align: center;
+        font-size: 0.875rem;
+        color: var(--color-lightbox-caption);
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+        .lazy-img,
+        .lightbox__img {
+            transition: none;
+        }
+    }
+`);
+
+// Initialize lazy images and the lightbox when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    const config = { ...IMAGES_CONFIG, ...window.SIGUA_IMAGES_CONFIG };
+    const variants = await ImageVariants.load(config.manifest, config.siteRoot);
+
+    window.Sigua = window.Sigua || {};
+    window.Sigua.images = new LazyImages(variants, config);
+
+    const screenshots = [...document.querySelectorAll(config.lightbox)];
+    if (screenshots.length > 0) {
+        window.Sigua.lightbox = new Lightbox(screenshots, variants, config);
+    }
+});
+
+export { ImageVariants, LazyImages, Lightbox, IMAGES_CONFIG };
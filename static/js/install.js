@@ -0,0 +1,330 @@
+/**
+ * App install prompt for Sigua.io
+ * Adds an "install the web app" card to the download section. Browsers
+ * that fire `beforeinstallprompt` get their native prompt; on iOS, where
+ * there is no such event, the card opens Add to Home Screen instructions.
+ *
+ * Progress is reported as `install:shown`, `install:choice` and
+ * `install:installed` events dispatched on `document`.
+ */
+
+import { PlatformDetector } from './platform.js';
+import { t } from './i18n.js';
+import { registerStyles } from './styles.js';
+
+/**
+ * Default install configuration
+ * Pages can override it through window.SIGUA_INSTALL_CONFIG.
+ */
+const INSTALL_CONFIG = {
+    container: '#download .download-section__grid'
+};
+
+const STANDALONE_QUERY = '(display-mode: standalone)';
+
+const INSTALL_ICON = '<svg viewBox="0 0 24 24" class="download-option__svg" aria-hidden="true"><path fill="currentColor" d="M17 1H7c-1.1 0-2 .9-2 2v18c0 1.1.9 2 2 2h10c1.1 0 2-.9 2-2V3c0-1.1-.9-2-2-2zm0 18H7V5h10v14zm-4.2-5.78v1.75l3.2-2.99L12.8 9v1.7c-3.11.43-4.35 2.56-4.8 4.7 1.11-1.5 2.58-2.18 4.8-2.18z"/></svg>';
+
+const SHARE_ICON = '<svg viewBox="0 0 24 24" class="ios-install__icon" aria-hidden="true"><path fill="currentColor" d="M16 5l-1.42 1.42-1.59-1.59V16h-1.98V4.83L9.42 6.42 8 5l4-4 4 4zm4 5v11c0 1.1-.9 2-2 2H6c-1.11 0-2-.9-2-2V10c0-1.11.89-2 2-2h3v2H6v11h12V10h-3V8h3c1.1 0 2 .89 2 2z"/></svg>';
+
+class InstallPrompt {
+    /**
+     * @param {Object} config - Install configuration
+     */
+    constructor(config = window.SIGUA_INSTALL_CONFIG || {}) {
+        this.config = { ...INSTALL_CONFIG, ...config };
+        this.platform = new PlatformDetector().detectSync();
+        this.deferredPrompt = null;
+        this.method = null;
+        this.card = null;
+        this.overlay = null;
+        this.init();
+    }
+
+    init() {
+        if (this.isInstalled()) return;
+
+        window.addEventListener('beforeinstallprompt', (e) => {
+            // Keep the browser's mini-infobar away; the card offers it instead
+            e.preventDefault();
+            this.deferredPrompt = e;
+            this.showCard('prompt');
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.deferredPrompt = null;
+            this.hideCard();
+            this.emit('install:installed', { method: this.method || 'browser' });
+        });
+
+        if (this.platform.os === 'ios') {
+            this.showCard('ios');
+        }
+    }
+
+    /**
+     * Whether the site is already running as an installed app
+     * @returns {boolean}
+     */
+    isInstalled() {
+        return window.navigator.standalone === true ||
+            (typeof window.matchMedia === 'function' && window.matchMedia(STANDALONE_QUERY).matches);
+    }
+
+    /**
+     * @param {string} method - 'prompt' for the native prompt, 'ios' for instructions
+     */
+    showCard(method) {
+        this.method = method;
+        if (!this.card) {
+            this.card = this.createCard();
+            if (!this.card) return;
+        }
+
+        const button = this.card.querySelector('.install-card__btn');
+        button.dataset.i18n = method === 'ios' ? 'install.ios.button' : 'install.button';
+        button.textContent = t(button.dataset.i18n);
+        if (method === 'ios') {
+            button.setAttribute('aria-haspopup', 'dialog');
+        } else {
+            button.removeAttribute('aria-haspopup');
+        }
+
+        this.card.hidden = false;
+        this.emit('install:shown', { method });
+    }
+
+    hideCard() {
+        if (this.card) {
+            this.card.hidden = true;
+        }
+    }
+
+    /**
+     * @returns {HTMLElement|null} Card, or null when the page has no download section
+     */
+    createCard() {
+        const container = document.querySelector(this.config.container);
+        if (!container) return null;
+
+        const card = document.createElement('div');
+        card.className = 'download-option install-card';
+        card.hidden = true;
+
+        const icon = document.createElement('div');
+        icon.className = 'download-option__icon';
+        icon.innerHTML = INSTALL_ICON;
+
+        const title = document.createElement('h3');
+        title.className = 'download-option__title';
+        title.dataset.i18n = 'install.title';
+        title.textContent = t('install.title');
+
+        const description = document.createElement('p');
+        description.className = 'download-option__description';
+        description.dataset.i18n = 'install.description';
+        description.textContent = t('install.description');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'download-option__btn install-card__btn';
+        button.addEventListener('click', () => this.install());
+
+        card.append(icon, title, description, button);
+        container.appendChild(card);
+        return card;
+    }
+
+    async install() {
+        if (this.method === 'ios') {
+            this.openInstructions();
+            return;
+        }
+
+        const prompt = this.deferredPrompt;
+        if (!prompt) return;
+
+        // A prompt can only be shown once
+        this.deferredPrompt = null;
+        prompt.prompt();
+
+        const { outcome } = await prompt.userChoice;
+        this.emit('install:choice', { method: 'prompt', outcome });
+        if (outcome === 'accepted') {
+            this.hideCard();
+        }
+    }
+
+    openInstructions() {
+        if (!this.overlay) {
+            this.overlay = this.createOverlay();
+        }
+
+        this.opener = document.activeElement;
+        this.overlay.hidden = false;
+
+        // Everything behind the dialog is out of reach until it closes
+        this.inertElements = [...document.body.children].filter(el => el !== this.overlay && !el.inert);
+        this.inertElements.forEach(el => { el.inert = true; });
+
+        this.overlay.querySelector('.ios-install__close').focus();
+        this.emit('install:choice', { method: 'ios', outcome: 'instructions' });
+    }
+
+    closeInstructions() {
+        if (!this.overlay || this.overlay.hidden) return;
+
+        this.overlay.hidden = true;
+        this.inertElements.forEach(el => { el.inert = false; });
+        this.inertElements = [];
+
+        if (this.opener && this.opener.isConnected) {
+            this.opener.focus();
+        }
+    }
+
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'ios-install';
+        overlay.hidden = true;
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'ios-install-title');
+
+        const panel = document.createElement('div');
+        panel.className = 'ios-install__panel';
+
+        const title = document.createElement('h2');
+        title.className = 'ios-install__title';
+        title.id = 'ios-install-title';
+        title.dataset.i18n = 'install.ios.title';
+        title.textContent = t('install.ios.title');
+
+        const steps = document.createElement('ol');
+        steps.className = 'ios-install__steps';
+        ['install.ios.step1', 'install.ios.step2', 'install.ios.step3'].forEach((key, index) => {
+            const step = document.createElement('li');
+            const text = document.createElement('span');
+            text.dataset.i18n = key;
+            text.textContent = t(key);
+            step.appendChild(text);
+            if (index === 0) {
+                step.insertAdjacentHTML('beforeend', SHARE_ICON);
+            }
+            steps.appendChild(step);
+        });
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'ios-install__close';
+        close.dataset.i18n = 'install.ios.close';
+        close.textContent = t('install.ios.close');
+        close.addEventListener('click', () => this.closeInstructions());
+
+        panel.append(title, steps, close);
+        overlay.appendChild(panel);
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeInstructions();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeInstructions();
+            } else if (e.key === 'Tab') {
+                // The close button is the only focusable element
+                e.preventDefault();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+
+    /**
+     * Dispatch an install event on document
+     * @param {string} name - Event name
+     * @param {Object} detail - Event detail
+     */
+    emit(name, detail) {
+        document.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+}
+
+// Add install card and iOS overlay styles
+registerStyles('install', `
+    .install-card__btn {
+        border: none;
+        font: inherit;
+        cursor: pointer;
+    }
+
+    .ios-install {
+        position: fixed;
+        inset: 0;
+        z-index: 1100;
+        display: flex;
+        align-items: flex-end;
+        justify-content: center;
+        background: var(--color-overlay, rgba(0, 0, 0, 0.6));
+    }
+
+    .ios-install[hidden] {
+        display: none;
+    }
+
+    .ios-install__panel {
+        width: 100%;
+        max-width: 28rem;
+        margin: 1rem;
+        padding: 1.5rem;
+        border-radius: 1rem;
+        background: var(--color-surface, #22223B);
+        color: var(--color-text-primary, white);
+    }
+
+    .ios-install__title {
+        font-size: 1.125rem;
+        margin-bottom: 1rem;
+    }
+
+    .ios-install__steps {
+        list-style: decimal;
+        padding-left: 1.25rem;
+        margin-bottom: 1.5rem;
+        line-height: 1.8;
+    }
+
+    .ios-install__icon {
+        display: inline-block;
+        width: 1.25em;
+        height: 1.25em;
+        margin-left: 0.25rem;
+        vertical-align: -0.25em;
+        color: #0a84ff;
+    }
+
+    .ios-install__close {
+        width: 100%;
+        padding: 0.625rem;
+        border: none;
+        border-radius: 9999px;
+        background: linear-gradient(60deg, #ff59a7, #d459f9);
+        color: white;
+        font: inherit;
+        cursor: pointer;
+    }
+
+    .ios-install__close:focus-visible {
+        outline: 2px solid white;
+        outline-offset: 2px;
+    }
+`);
+
+// Listen before the browser fires beforeinstallprompt, which can
+// happen before DOMContentLoaded handlers would run
+const installPrompt = new InstallPrompt();
+
+window.Sigua = window.Sigua || {};
+window.Sigua.install = installPrompt;
+
+export { InstallPrompt, INSTALL_CONFIG };
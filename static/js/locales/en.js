@@ -0,0 +1,134 @@
+/**
+ * English messages
+ */
+
+export default {
+    'meta.title': 'Sigua Chat - Download the free app and make new friends',
+
+    'nav.label': 'Main navigation',
+    'nav.toggle': 'Toggle navigation menu',
+    'theme.dark': 'Dark mode',
+    'nav.language': 'Language',
+    'nav.home': 'Home',
+    'nav.features': 'Features',
+    'nav.faq': 'FAQ',
+    'nav.download': 'Download',
+
+    'hero.title': 'The new Sigua app is here. Download it from the official site',
+    'hero.subtitle': 'Immersive messaging starts with a Sigua download: safe, simple, all in one place',
+    'hero.qrText': 'Scan the QR code to download the Sigua app',
+    'hero.windows': 'Windows',
+    'hero.windowsText': 'Download Sigua for Windows',
+    'hero.mobileDownload': 'Download Sigua now',
+    'hero.notice': 'Installing the Sigua app replaces the old version. Back up your chat history in the current app before you install.',
+    'hero.noticePath': '"Me" → "General" → "Chat Backup"',
+
+    'features.title': 'Features',
+    'features.1.title': 'Sigua keeps every conversation secure',
+    'features.1.description': 'Advanced cloud encryption protects your private information',
+    'features.2.title': 'Sigua makes messaging private and simple',
+    'features.2.description': 'Download from the official site for encrypted private chat on every platform',
+    'features.3.title': 'Download from the official site and chat securely',
+    'features.3.description': 'The official Sigua app syncs across devices with encrypted backups',
+    'features.4.title': 'Secure communication within reach',
+    'features.4.description': 'Local chat encryption sets a new standard for privacy',
+    'features.5.title': 'Strong encryption by design',
+    'features.5.description': 'Download from the official site for stable, secure instant messaging',
+
+    'faq.title': 'FAQ',
+    'faq.pricing.question': 'Is Sigua Chat free?',
+    'faq.pricing.answer': 'The basic features are free, including sign-up, chat, voice calls and stickers. Some premium features may require payment.',
+    'faq.login.question': 'How do I log in to Sigua Chat?',
+    'faq.login.answer': 'Open the Sigua Chat app, tap "Log in" and enter your registered phone number and password, or log in quickly with a verification code.',
+    'faq.register.question': 'How do I create a Sigua Chat account?',
+    'faq.register.answer': 'Download and install the Sigua Chat app, open it, tap "Sign up" and enter your phone number and verification code.',
+    'faq.pc-download.question': 'How do I download Sigua Chat for PC?',
+    'faq.pc-download.answer': 'Sigua Chat is mainly a mobile app and has no official PC version yet. To use it on a computer, install the app in an Android emulator.',
+    'faq.privacy.question': 'Are my Sigua Chat conversations monitored?',
+    'faq.privacy.answer': 'Sigua Chat uses end-to-end encryption to protect your privacy. We do not monitor the content of your chats.',
+    'faq.support.question': 'How do I contact Sigua Chat support?',
+    'faq.support.answer': 'In the app, go to "Settings" → "Help & Feedback" → "Contact Support" to reach the Sigua Chat support team.',
+    'faq.search.label': 'Search the FAQ',
+    'faq.search.found': {
+        one: '{count} matching question',
+        other: '{count} matching questions'
+    },
+    'faq.search.none': 'No matching questions',
+
+    'search.open': 'Search',
+    'search.dialog': 'Site search',
+    'search.label': 'Search articles and FAQ',
+    'search.close': 'Close search',
+    'search.results': 'Search results',
+    'search.loading': 'Loading the search index…',
+    'search.failed': 'The search index could not be loaded. Please try again later',
+    'search.found': {
+        one: '{count} result',
+        other: '{count} results'
+    },
+    'search.none': 'Nothing found',
+    'search.faq': 'FAQ',
+
+    'download.title': 'Download',
+    'download.subtitle': 'Choose how you want to download',
+    'download.mobile.title': 'Mobile',
+    'download.mobile.description': 'Scan the QR code or tap the button to get the latest version',
+    'download.mobile.button': 'Download for mobile',
+    'download.pc.title': 'Windows',
+    'download.pc.description': 'The desktop version for Windows',
+    'download.pc.button': 'Download for Windows',
+    'download.qr.title': 'QR code',
+    'download.qr.description': 'Scan the QR code with your phone to download',
+
+    'notFound.title': 'Page not found',
+    'notFound.subtitle': 'The page you are looking for does not exist or has been removed',
+    'notFound.back': 'Back to home',
+
+    'download.status.resolving': 'Getting download link…',
+    'download.status.retrying': 'Retrying (attempt {attempt} of {attempts})…',
+    'download.status.offline': 'You are offline. The download will continue when you reconnect…',
+    'download.started': 'Download started',
+    'download.retry': 'Retry',
+    'download.useLast': 'Use the last download link',
+    'download.version': 'Version {version}',
+    'download.unavailable': 'Sigua is not available for {name} yet. Scan the QR code to download it on your phone',
+    'download.unavailable.yourSystem': 'your system',
+    'download.unavailable.ios': 'Sigua is not available for iOS yet. Add the web app to your Home Screen instead',
+    'download.unavailable.pc': 'The Windows app only installs on Windows PCs. Use the mobile download instead',
+    'download.unavailable.mobile': 'The mobile app only installs on Android phones. Scan the QR code to download it on your phone',
+
+    'install.title': 'Install the web app',
+    'install.description': 'No installer needed: add it to your home screen and use it like an app',
+    'install.button': 'Install',
+    'install.ios.button': 'Add to Home Screen',
+    'install.ios.title': 'Add to Home Screen',
+    'install.ios.step1': 'Tap the Share button in the browser toolbar',
+    'install.ios.step2': 'Choose "Add to Home Screen" from the menu',
+    'install.ios.step3': 'Tap "Add" in the top-right corner',
+    'install.ios.close': 'Got it',
+
+    'errors.userMessage': '{message} (error code: {code}{status}). {hint}',
+    'errors.network.message': 'Could not reach the download server',
+    'errors.network.hint': 'Check your connection or switch networks, then try again',
+    'errors.http_status.message': 'The download server is temporarily unavailable',
+    'errors.http_status.hint': 'Please try again later',
+    'errors.malformed_json.message': 'The download server returned unexpected data',
+    'errors.malformed_json.hint': 'The service may be under maintenance. Please try again later',
+    'errors.missing_field.message': 'No valid download link was returned',
+    'errors.missing_field.hint': 'Try again later or scan the QR code',
+    'errors.server_code.message': 'The download service is unavailable',
+    'errors.server_code.hint': 'If this keeps happening, please contact support',
+    'errors.unsafe_url.message': 'The download link failed the security check and was blocked',
+    'errors.unsafe_url.hint': 'Please download from the official site or scan the QR code',
+
+    'toast.region': 'Notifications',
+    'toast.close': 'Dismiss notification',
+
+    'lightbox.label': 'Image viewer',
+    'lightbox.prev': 'Previous image',
+    'lightbox.next': 'Next image',
+    'lightbox.zoomIn': 'Zoom in',
+    'lightbox.zoomOut': 'Zoom out',
+    'lightbox.close': 'Close',
+    'lightbox.counter': '{index} of {count}'
+};
@@ -0,0 +1,130 @@
+/**
+ * Simplified Chinese messages
+ * The page markup is written in this locale; it is also the fallback
+ * for keys missing from other catalogs.
+ */
+
+export default {
+    'meta.title': '丝瓜聊天官网 - 免费下载APP轻松畅聊，结识新朋友',
+
+    'nav.label': '主导航',
+    'nav.toggle': '切换导航菜单',
+    'theme.dark': '深色模式',
+    'nav.language': '语言',
+    'nav.home': '首页',
+    'nav.features': '功能特色',
+    'nav.faq': '常见问题',
+    'nav.download': '立即下载',
+
+    'hero.title': '丝瓜APP全新上线，尽在丝瓜官网下载',
+    'hero.subtitle': '沉浸式通讯体验，从丝瓜下载开始，安全便捷一站直达',
+    'hero.qrText': '扫描二维码获取丝瓜APP下载',
+    'hero.windows': 'Windows版',
+    'hero.windowsText': '下载丝瓜官网Windows版',
+    'hero.mobileDownload': '立即丝瓜下载',
+    'hero.notice': '下载丝瓜APP将覆盖旧版本，建议在丝瓜官网下载安装前，先在原App中备份聊天记录。',
+    'hero.noticePath': '"我的" → "通用" → "聊天记录备份"',
+
+    'features.title': '功能特色',
+    'features.1.title': '丝瓜APP保障你的每一次通讯安全',
+    'features.1.description': '采用先进云端加密技术，丝瓜APP全面保护用户隐私信息',
+    'features.2.title': '丝瓜下载，让通讯更私密更简单',
+    'features.2.description': '通过丝瓜官网下载，全平台支持私密加密聊天体验',
+    'features.3.title': '从丝瓜官网下载，畅享安全通讯',
+    'features.3.description': '官方丝瓜APP版本，支持多端数据同步与加密备份',
+    'features.4.title': '丝瓜APP，让安全沟通触手可及',
+    'features.4.description': '丝瓜下载版本支持本地聊天加密，打造隐私保护新标准',
+    'features.5.title': '丝瓜官网强力加密通讯机制',
+    'features.5.description': '从丝瓜官网下载体验安全稳定的即时通讯服务',
+
+    'faq.title': '常见问题',
+    'faq.pricing.question': '丝瓜聊天要钱吗？',
+    'faq.pricing.answer': '丝瓜聊天基本功能免费，包括注册、聊天、语音通话和发送表情包等。部分高级功能可能需要付费。',
+    'faq.login.question': '丝瓜聊天怎么登录？',
+    'faq.login.answer': '打开丝瓜聊天APP，点击"登录"按钮，输入已注册的手机号码和密码，或使用验证码快捷登录。',
+    'faq.register.question': '如何注册丝瓜聊天账号？',
+    'faq.register.answer': '注册丝瓜聊天账号步骤如下：下载并安装丝瓜聊天APP，打开后点击注册，输入手机号码和验证码即可完成注册。',
+    'faq.pc-download.question': '丝瓜聊天PC版怎么下载？',
+    'faq.pc-download.answer': '丝瓜聊天目前主要面向移动端，暂未推出官方PC版。如果需在电脑上使用，可通过安卓模拟器安装丝瓜聊天App。',
+    'faq.privacy.question': '丝瓜聊天聊天会被监控吗？',
+    'faq.privacy.answer': '丝瓜聊天采用端到端加密技术，保护用户隐私安全。官方不会监控用户的聊天内容。',
+    'faq.support.question': '丝瓜聊天客服怎么联系？',
+    'faq.support.answer': '您可以通过APP内的"设置" → "帮助与反馈" → "联系客服"来联系丝瓜聊天客服团队。',
+    'faq.search.label': '搜索常见问题',
+    'faq.search.found': '找到 {count} 个相关问题',
+    'faq.search.none': '没有找到相关问题',
+
+    'search.open': '搜索',
+    'search.dialog': '站内搜索',
+    'search.label': '搜索文章和常见问题',
+    'search.close': '关闭搜索',
+    'search.results': '搜索结果',
+    'search.loading': '正在加载搜索索引…',
+    'search.failed': '搜索索引加载失败，请稍后重试',
+    'search.found': '找到 {count} 条结果',
+    'search.none': '没有找到相关内容',
+    'search.faq': '常见问题',
+
+    'download.title': '立即下载',
+    'download.subtitle': '选择适合您的下载方式',
+    'download.mobile.title': '移动端下载',
+    'download.mobile.description': '扫描二维码或点击下载按钮获取最新版本',
+    'download.mobile.button': '下载移动版',
+    'download.pc.title': 'Windows版',
+    'download.pc.description': '适用于Windows系统的桌面版本',
+    'download.pc.button': '下载Windows版',
+    'download.qr.title': '二维码下载',
+    'download.qr.description': '使用手机扫描二维码快速下载',
+
+    'notFound.title': '页面不存在',
+    'notFound.subtitle': '您访问的页面不存在或已被移除',
+    'notFound.back': '返回首页',
+
+    'download.status.resolving': '正在获取下载地址…',
+    'download.status.retrying': '正在重试（第 {attempt}/{attempts} 次）…',
+    'download.status.offline': '网络已断开，恢复后自动继续…',
+    'download.started': '下载已开始',
+    'download.retry': '重试',
+    'download.useLast': '使用上次的下载链接',
+    'download.version': '版本 {version}',
+    'download.unavailable': '丝瓜APP暂未推出{name}版本，请使用手机扫码下载',
+    'download.unavailable.yourSystem': '您的系统',
+    'download.unavailable.ios': '丝瓜APP暂未推出iOS版本，可将网页版添加到主屏幕使用',
+    'download.unavailable.pc': '电脑版仅支持Windows，请下载移动版',
+    'download.unavailable.mobile': '移动版仅支持安卓手机，请使用手机扫码下载',
+
+    'install.title': '安装网页版',
+    'install.description': '无需安装包，添加到桌面即可像应用一样使用',
+    'install.button': '安装',
+    'install.ios.button': '添加到主屏幕',
+    'install.ios.title': '添加到主屏幕',
+    'install.ios.step1': '点击浏览器工具栏中的“分享”按钮',
+    'install.ios.step2': '在菜单中选择“添加到主屏幕”',
+    'install.ios.step3': '点击右上角的“添加”完成安装',
+    'install.ios.close': '知道了',
+
+    'errors.userMessage': '{message}（错误代码: {code}{status}），{hint}',
+    'errors.network.message': '无法连接下载服务器',
+    'errors.network.hint': '请检查网络连接或切换网络后重试',
+    'errors.http_status.message': '下载服务器暂时不可用',
+    'errors.http_status.hint': '请稍后重试',
+    'errors.malformed_json.message': '下载服务器返回了无法识别的数据',
+    'errors.malformed_json.hint': '服务可能正在维护，请稍后重试',
+    'errors.missing_field.message': '未获取到有效的下载地址',
+    'errors.missing_field.hint': '请稍后重试或扫码下载',
+    'errors.server_code.message': '下载服务暂不可用',
+    'errors.server_code.hint': '如问题持续，请联系客服',
+    'errors.unsafe_url.message': '下载地址未通过安全校验，已拦截',
+    'errors.unsafe_url.hint': '请通过官网或扫码下载',
+
+    'toast.region': '通知',
+    'toast.close': '关闭通知',
+
+    'lightbox.label': '图片查看器',
+    'lightbox.prev': '上一张',
+    'lightbox.next': '下一张',
+    'lightbox.zoomIn': '放大',
+    'lightbox.zoomOut': '缩小',
+    'lightbox.close': '关闭',
+    'lightbox.counter': '第 {index} 张，共 {count} 张'
+};
@@ -0,0 +1,128 @@
+/**
+ * Traditional Chinese messages
+ */
+
+export default {
+    'meta.title': '絲瓜聊天官網 - 免費下載APP輕鬆暢聊，結識新朋友',
+
+    'nav.label': '主導覽',
+    'nav.toggle': '切換導覽選單',
+    'theme.dark': '深色模式',
+    'nav.language': '語言',
+    'nav.home': '首頁',
+    'nav.features': '功能特色',
+    'nav.faq': '常見問題',
+    'nav.download': '立即下載',
+
+    'hero.title': '絲瓜APP全新上線，盡在絲瓜官網下載',
+    'hero.subtitle': '沉浸式通訊體驗，從絲瓜下載開始，安全便捷一站直達',
+    'hero.qrText': '掃描二維碼取得絲瓜APP下載',
+    'hero.windows': 'Windows版',
+    'hero.windowsText': '下載絲瓜官網Windows版',
+    'hero.mobileDownload': '立即絲瓜下載',
+    'hero.notice': '下載絲瓜APP將覆蓋舊版本，建議在絲瓜官網下載安裝前，先在原App中備份聊天記錄。',
+    'hero.noticePath': '"我的" → "通用" → "聊天記錄備份"',
+
+    'features.title': '功能特色',
+    'features.1.title': '絲瓜APP保障你的每一次通訊安全',
+    'features.1.description': '採用先進雲端加密技術，絲瓜APP全面保護用戶隱私資訊',
+    'features.2.title': '絲瓜下載，讓通訊更私密更簡單',
+    'features.2.description': '透過絲瓜官網下載，全平台支援私密加密聊天體驗',
+    'features.3.title': '從絲瓜官網下載，暢享安全通訊',
+    'features.3.description': '官方絲瓜APP版本，支援多端資料同步與加密備份',
+    'features.4.title': '絲瓜APP，讓安全溝通觸手可及',
+    'features.4.description': '絲瓜下載版本支援本地聊天加密，打造隱私保護新標準',
+    'features.5.title': '絲瓜官網強力加密通訊機制',
+    'features.5.description': '從絲瓜官網下載體驗安全穩定的即時通訊服務',
+
+    'faq.title': '常見問題',
+    'faq.pricing.question': '絲瓜聊天要錢嗎？',
+    'faq.pricing.answer': '絲瓜聊天基本功能免費，包括註冊、聊天、語音通話和傳送表情包等。部分進階功能可能需要付費。',
+    'faq.login.question': '絲瓜聊天怎麼登入？',
+    'faq.login.answer': '開啟絲瓜聊天APP，點擊"登入"按鈕，輸入已註冊的手機號碼和密碼，或使用驗證碼快速登入。',
+    'faq.register.question': '如何註冊絲瓜聊天帳號？',
+    'faq.register.answer': '註冊絲瓜聊天帳號步驟如下：下載並安裝絲瓜聊天APP，開啟後點擊註冊，輸入手機號碼和驗證碼即可完成註冊。',
+    'faq.pc-download.question': '絲瓜聊天PC版怎麼下載？',
+    'faq.pc-download.answer': '絲瓜聊天目前主要面向行動端，暫未推出官方PC版。如需在電腦上使用，可透過安卓模擬器安裝絲瓜聊天App。',
+    'faq.privacy.question': '絲瓜聊天聊天會被監控嗎？',
+    'faq.privacy.answer': '絲瓜聊天採用端對端加密技術，保護用戶隱私安全。官方不會監控用戶的聊天內容。',
+    'faq.support.question': '絲瓜聊天客服怎麼聯絡？',
+    'faq.support.answer': '您可以透過APP內的"設定" → "幫助與回饋" → "聯絡客服"來聯絡絲瓜聊天客服團隊。',
+    'faq.search.label': '搜尋常見問題',
+    'faq.search.found': '找到 {count} 個相關問題',
+    'faq.search.none': '沒有找到相關問題',
+
+    'search.open': '搜尋',
+    'search.dialog': '站內搜尋',
+    'search.label': '搜尋文章和常見問題',
+    'search.close': '關閉搜尋',
+    'search.results': '搜尋結果',
+    'search.loading': '正在載入搜尋索引…',
+    'search.failed': '搜尋索引載入失敗，請稍後重試',
+    'search.found': '找到 {count} 筆結果',
+    'search.none': '沒有找到相關內容',
+    'search.faq': '常見問題',
+
+    'download.title': '立即下載',
+    'download.subtitle': '選擇適合您的下載方式',
+    'download.mobile.title': '行動端下載',
+    'download.mobile.description': '掃描二維碼或點擊下載按鈕取得最新版本',
+    'download.mobile.button': '下載行動版',
+    'download.pc.title': 'Windows版',
+    'download.pc.description': '適用於Windows系統的桌面版本',
+    'download.pc.button': '下載Windows版',
+    'download.qr.title': '二維碼下載',
+    'download.qr.description': '使用手機掃描二維碼快速下載',
+
+    'notFound.title': '頁面不存在',
+    'notFound.subtitle': '您造訪的頁面不存在或已被移除',
+    'notFound.back': '返回首頁',
+
+    'download.status.resolving': '正在取得下載位址…',
+    'download.status.retrying': '正在重試（第 {attempt}/{attempts} 次）…',
+    'download.status.offline': '網路已中斷，恢復後自動繼續…',
+    'download.started': '下載已開始',
+    'download.retry': '重試',
+    'download.useLast': '使用上次的下載連結',
+    'download.version': '版本 {version}',
+    'download.unavailable': '絲瓜APP暫未推出{name}版本，請使用手機掃碼下載',
+    'download.unavailable.yourSystem': '您的系統',
+    'download.unavailable.ios': '絲瓜APP暫未推出iOS版本，可將網頁版加入主畫面使用',
+    'download.unavailable.pc': '電腦版僅支援Windows，請下載行動版',
+    'download.unavailable.mobile': '行動版僅支援Android手機，請使用手機掃碼下載',
+
+    'install.title': '安裝網頁版',
+    'install.description': '無需安裝檔，加入桌面即可像應用程式一樣使用',
+    'install.button': '安裝',
+    'install.ios.button': '加入主畫面',
+    'install.ios.title': '加入主畫面',
+    'install.ios.step1': '點擊瀏覽器工具列中的「分享」按鈕',
+    'install.ios.step2': '在選單中選擇「加入主畫面」',
+    'install.ios.step3': '點擊右上角的「新增」完成安裝',
+    'install.ios.close': '知道了',
+
+    'errors.userMessage': '{message}（錯誤代碼: {code}{status}），{hint}',
+    'errors.network.message': '無法連線下載伺服器',
+    'errors.network.hint': '請檢查網路連線或切換網路後重試',
+    'errors.http_status.message': '下載伺服器暫時無法使用',
+    'errors.http_status.hint': '請稍後重試',
+    'errors.malformed_json.message': '下載伺服器回傳了無法辨識的資料',
+    'errors.malformed_json.hint': '服務可能正在維護，請稍後重試',
+    'errors.missing_field.message': '未取得有效的下載位址',
+    'errors.missing_field.hint': '請稍後重試或掃碼下載',
+    'errors.server_code.message': '下載服務暫時無法使用',
+    'errors.server_code.hint': '如問題持續，請聯絡客服',
+    'errors.unsafe_url.message': '下載位址未通過安全驗證，已攔截',
+    'errors.unsafe_url.hint': '請透過官網或掃碼下載',
+
+    'toast.region': '通知',
+    'toast.close': '關閉通知',
+
+    'lightbox.label': '圖片檢視器',
+    'lightbox.prev': '上一張',
+    'lightbox.next': '下一張',
+    'lightbox.zoomIn': '放大',
+    'lightbox.zoomOut': '縮小',
+    'lightbox.close': '關閉',
+    'lightbox.counter': '第 {index} 張，共 {count} 張'
+};
@@ -1,30 +1,51 @@
 /**
  * Navigation Manager for Sigua.io
- * Handles mobile navigation and smooth scrolling
+ * Handles mobile navigation, header scroll effects and scroll-spy
  */
 
+import { shell } from './app-shell.js';
+import { ScrollSpy } from './scroll-spy.js';
+import { registerStyles } from './styles.js';
+
+/**
+ * Width at which the drawer becomes the inline desktop navigation
+ */
+const DESKTOP_QUERY = '(min-width: 768px)';
+
+/**
+ * Horizontal swipe distance, in pixels, that closes the drawer
+ */
+const SWIPE_CLOSE_DISTANCE = 60;
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
 class NavigationManager {
     constructor() {
         this.navToggle = document.getElementById('nav-toggle');
         this.nav = document.getElementById('main-nav');
         this.isNavOpen = false;
+        this.desktopQuery = window.matchMedia(DESKTOP_QUERY);
+        this.inertElements = [];
         
         this.init();
     }
 
     init() {
-        this.bindEvents();
-        this.setupSmoothScrolling();
+        if (this.navToggle && this.nav) {
+            this.navToggle.setAttribute('aria-controls', this.nav.id);
+            this.navToggle.setAttribute('aria-expanded', 'false');
+            this.bindEvents();
+            this.setupSwipeToClose();
+        }
         this.setupScrollEffects();
+        this.setupScrollSpy();
     }
 
     bindEvents() {
         // Mobile navigation toggle
-        if (this.navToggle) {
-            this.navToggle.addEventListener('click', () => {
-                this.toggleNavigation();
-            });
-        }
+        this.navToggle.addEventListener('click', () => {
+            this.toggleNavigation();
+        });
 
         // Close navigation when clicking outside
         document.addEventListener('click', (e) => {
@@ -33,17 +54,27 @@ class NavigationManager {
             }
         });
 
-        // Close navigation on escape key
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && this.isNavOpen) {
+            if (!this.isNavOpen) return;
+
+            if (e.key === 'Escape') {
                 this.closeNavigation();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
             }
         });
 
-        // Handle window resize
-        window.addEventListener('resize', () => {
-            if (window.innerWidth >= 768 && this.isNavOpen) {
-                this.closeNavigation();
+        // Close navigation when the page navigates; focus follows the new content
+        shell.on('route:change', () => {
+            if (this.isNavOpen) {
+                this.closeNavigation({ restoreFocus: false });
+            }
+        });
+
+        // The drawer only exists below the desktop breakpoint
+        this.desktopQuery.addEventListener('change', (e) => {
+            if (e.matches && this.isNavOpen) {
+                this.closeNavigation({ restoreFocus: false });
             }
         });
     }
@@ -64,133 +95,199 @@ class NavigationManager {
      */
     openNavigation() {
         this.navToggle.classList.add('active');
-        this.nav.classList.remove('hidden');
+        this.navToggle.setAttribute('aria-expanded', 'true');
+        this.nav.classList.add('nav--open');
         this.isNavOpen = true;
         
         // Prevent body scroll
         document.body.style.overflow = 'hidden';
-        
-        // Add animation class
-        this.nav.classList.add('nav--open');
+
+        this.setBackgroundInert(true);
+
+        const first = this.nav.querySelector(FOCUSABLE);
+        if (first) {
+            first.focus();
+        }
     }
 
     /**
      * Close mobile navigation
+     * @param {Object} options - { restoreFocus }: return focus to the toggle
      */
-    closeNavigation() {
+    closeNavigation({ restoreFocus = true } = {}) {
         this.navToggle.classList.remove('active');
-        this.nav.classList.add('hidden');
+        this.navToggle.setAttribute('aria-expanded', 'false');
+        this.nav.classList.remove('nav--open');
         this.isNavOpen = false;
         
         // Restore body scroll
         document.body.style.overflow = '';
-        
-        // Remove animation class
-        this.nav.classList.remove('nav--open');
+
+        this.setBackgroundInert(false);
+
+        if (restoreFocus) {
+            this.navToggle.focus();
+        }
+    }
+
+    /**
+     * The toggle plus the drawer's links, in tab order
+     * @returns {Array<HTMLElement>}
+     */
+    getFocusableElements() {
+        return [this.navToggle, ...this.nav.querySelectorAll(FOCUSABLE)];
     }
 
     /**
-     * Setup smooth scrolling for anchor links
+     * Keep Tab and Shift+Tab inside the toggle and the open drawer
+     * @param {KeyboardEvent} e
      */
-    setupSmoothScrolling() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', (e) => {
-                e.preventDefault();
-                
-                const targetId = anchor.getAttribute('href').substring(1);
-                const targetElement = document.getElementById(targetId);
-                
-                if (targetElement) {
-                    // Close mobile navigation if open
-                    if (this.isNavOpen) {
-                        this.closeNavigation();
-                    }
-                    
-                    // Smooth scroll to target
-                    targetElement.scrollIntoView({
-                        behavior: 'smooth',
-                        block: 'start'
-                    });
-                }
+    trapFocus(e) {
+        const focusable = this.getFocusableElements();
+        const index = focusable.indexOf(document.activeElement);
+        const next = e.shiftKey ? index - 1 : index + 1;
+
+        e.preventDefault();
+        focusable[(next + focusable.length) % focusable.length].focus();
+    }
+
+    /**
+     * Make everything outside the header inert while the drawer is open
+     * @param {boolean} inert - Whether to disable the background
+     */
+    setBackgroundInert(inert) {
+        if (inert) {
+            const header = this.nav.closest('header') || this.nav;
+            this.inertElements = [...document.body.children].filter(el =>
+                !el.contains(header) && !el.inert && el.tagName !== 'SCRIPT' && el.tagName !== 'STYLE'
+            );
+            this.inertElements.forEach(el => {
+                el.inert = true;
             });
+        } else {
+            this.inertElements.forEach(el => {
+                el.inert = false;
+            });
+            this.inertElements = [];
+        }
+    }
+
+    /**
+     * The drawer follows a leftward swipe and closes past a threshold
+     */
+    setupSwipeToClose() {
+        let startX = 0;
+        let startY = 0;
+        let deltaX = 0;
+        let swiping = false;
+
+        this.nav.addEventListener('touchstart', (e) => {
+            if (!this.isNavOpen) return;
+            startX = e.touches[0].clientX;
+            startY = e.touches[0].clientY;
+            deltaX = 0;
+            swiping = false;
+        }, { passive: true });
+
+        this.nav.addEventListener('touchmove', (e) => {
+            if (!this.isNavOpen) return;
+            const dx = e.touches[0].clientX - startX;
+            const dy = e.touches[0].clientY - startY;
+
+            if (!swiping && Math.abs(dx) > Math.abs(dy) && dx < 0) {
+                swiping = true;
+                this.nav.style.transition = 'none';
+            }
+            if (swiping) {
+                deltaX = Math.min(dx, 0);
+                this.nav.style.transform = `translateX(${deltaX}px)`;
+            }
+        }, { passive: true });
+
+        this.nav.addEventListener('touchend', () => {
+            if (!swiping) return;
+            swiping = false;
+            this.nav.style.transition = '';
+            this.nav.style.transform = '';
+
+            if (deltaX <= -SWIPE_CLOSE_DISTANCE) {
+                this.closeNavigation();
+            }
         });
     }
 
     /**
-     * Setup scroll effects for header and elements
+     * Setup scroll effects for the header
+     * Scroll handling is passive and batched to one update per frame.
+     * Hide-on-scroll is off when the user prefers reduced motion.
      */
     setupScrollEffects() {
-        let lastScrollTop = 0;
         const header = document.querySelector('.header');
-        
-        window.addEventListener('scroll', () => {
+        if (!header) return;
+
+        const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        let lastScrollTop = 0;
+        let ticking = false;
+
+        const update = () => {
             const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-            
+
             // Header background effect
-            if (header) {
-                if (scrollTop > 50) {
-                    header.classList.add('header--scrolled');
-                } else {
-                    header.classList.remove('header--scrolled');
-                }
-            }
-            
-            // Hide/show header on scroll
-            if (scrollTop > lastScrollTop && scrollTop > 100) {
-                // Scrolling down
-                header?.classList.add('header--hidden');
-            } else {
-                // Scrolling up
-                header?.classList.remove('header--hidden');
-            }
-            
+            header.classList.toggle('header--scrolled', scrollTop > 50);
+
+            // Hide when scrolling down, show when scrolling up
+            const hide = !reducedMotion.matches && scrollTop > lastScrollTop && scrollTop > 100;
+            header.classList.toggle('header--hidden', hide);
+
             lastScrollTop = scrollTop;
-        });
+            ticking = false;
+        };
+
+        window.addEventListener('scroll', () => {
+            if (!ticking) {
+                ticking = true;
+                requestAnimationFrame(update);
+            }
+        }, { passive: true });
+
+        reducedMotion.addEventListener('change', update);
     }
 
     /**
-     * Add intersection observer for animations
+     * Mark the nav link of the section in view
      */
-    setupAnimations() {
-        const observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
+    setupScrollSpy() {
+        if (!this.nav) return;
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('fade-in-up');
-                }
-            });
-        }, observerOptions);
-
-        // Observe elements for animation
-        document.querySelectorAll('.feature, .news-card').forEach(el => {
-            observer.observe(el);
+        this.scrollSpy = new ScrollSpy(this.nav.querySelectorAll('.nav__link[href^="#"]'), {
+            activeClass: 'nav__link--active'
         });
     }
 }
 
 // Add navigation styles
-const navStyles = document.createElement('style');
-navStyles.textContent = `
+registerStyles('navigation', `
     /* Mobile Navigation Styles */
     @media (max-width: 767px) {
         .nav {
+            display: block;
             position: fixed;
             top: 80px;
             left: 0;
             width: 100%;
-            background: rgba(23, 22, 46, 0.98);
+            background: var(--color-header, rgba(23, 22, 46, 0.95));
             backdrop-filter: blur(10px);
             transform: translateX(-100%);
-            transition: transform 0.3s ease-in-out;
+            visibility: hidden;
+            transition: transform 0.3s ease-in-out, visibility 0s linear 0.3s;
+            touch-action: pan-y;
             z-index: 99;
         }
         
         .nav--open {
             transform: translateX(0);
+            visibility: visible;
+            transition: transform 0.3s ease-in-out;
         }
         
         .nav__list {
@@ -213,30 +310,14 @@ navStyles.textContent = `
     }
     
     .header--scrolled {
-        background: rgba(23, 22, 46, 0.98);
-        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
+        background: var(--color-header, rgba(23, 22, 46, 0.95));
+        box-shadow: 0 2px 10px var(--color-shadow, rgba(0, 0, 0, 0.4));
     }
     
     .header--hidden {
         transform: translateY(-100%);
     }
     
-    /* Animation Classes */
-    .fade-in-up {
-        animation: fadeInUp 0.6s ease-out forwards;
-    }
-    
-    @keyframes fadeInUp {
-        from {
-            opacity: 0;
-            transform: translateY(30px);
-        }
-        to {
-            opacity: 1;
-            transform: translateY(0);
-        }
-    }
-    
     /* Accessibility Improvements */
     .nav-toggle:focus,
     .nav__link:focus {
@@ -247,17 +328,16 @@ navStyles.textContent = `
     /* Reduced Motion Support */
     @media (prefers-reduced-motion: reduce) {
         .nav,
-        .header,
-        .fade-in-up {
+        .header {
             animation: none;
             transition: none;
         }
     }
-`;
-
-document.head.appendChild(navStyles);
+`);
 
 // Initialize navigation manager when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     new NavigationManager();
 });
+
+export { NavigationManager };
@@ -1,103 +1,70 @@
-﻿document.addEventListener('DOMContentLoaded', () => {
-    const downloadButtons = document.querySelectorAll('.getDown');
-    
-    const pcDownloadButtons = document.querySelectorAll('.pcgetDown');
-    const androidDownloadButtons = document.querySelectorAll('.androidgetDown');
-    
-    downloadButtons.forEach(button => {
-        button.addEventListener('click', handleOriginalDownload);
-    });
-    
-    pcDownloadButtons.forEach(button => {
-        button.addEventListener('click', (event) => handleDownload(event, 'pc'));
-    });
-    
-    androidDownloadButtons.forEach(button => {
-        button.addEventListener('click', (event) => handleDownload(event, 'mobile'));
+/**
+ * Legacy download shim for Sigua.io
+ * Older pages include this file as a classic script. The download flow
+ * itself lives in download.js, which already handles the `.getDown`,
+ * `.pcgetDown` and `.androidgetDown` buttons; this file only loads it
+ * (with analytics.js for the download funnel) and keeps the old global
+ * functions callable, queueing calls made before the module has loaded.
+ */
+
+(function () {
+    // Resolved relative to this script, so it works from any page depth.
+    // The manager is created on DOMContentLoaded when the module arrives
+    // before it, so wait for that too; null when the module failed to load.
+    const managerReady = import('./download.js')
+        .then(() => window.Sigua.downloadManager || new Promise(resolve => {
+            document.addEventListener('DOMContentLoaded', () => resolve(window.Sigua.downloadManager), { once: true });
+        }))
+        .catch(error => {
+            console.error('Failed to load download module:', error);
+            return null;
+        });
+    import('./analytics.js').catch(error => {
+        console.error('Failed to load analytics module:', error);
     });
-});
 
-async function handleOriginalDownload(event) {
-    event.preventDefault();
-    try {
-        const deviceType = /Mobile/i.test(navigator.userAgent) ? 'mobile' : 'pc';
-        const siteDomain = window.location.hostname;
-        
-        const webhostUrl = `https://a.hkdownload.com/get.php?type=${deviceType}&site=${siteDomain}`;
-        
-        const webhostResponse = await fetch(webhostUrl);
-        const webhostData = await webhostResponse.json();
-        
-        if (!webhostData.webhost) {
-            if (webhostData.code && webhostData.msg) {
-                alert(webhostData.msg);
-                return; 
-            }
-            throw new Error('未获取到有效的下载地址');
+    // Without the module there is no resolver chain; follow the plain link
+    function navigate(url) {
+        if (url && !url.startsWith('#') && !url.startsWith('javascript:')) {
+            window.location.href = url;
         }
-        
-        const downloadUrl = webhostData.webhost;
-        const webhostResponse1 = await fetch(downloadUrl);
-        const webhostData1 = await webhostResponse1.json();
-        
-        if (!webhostData1.go) {
-            if (webhostData1.code && webhostData1.msg) {
-                alert(webhostData1.msg);
-                return;
-            }
-            throw new Error('未获取到最终下载地址');
-        }
-        downloadFile(webhostData1.go);
-        
-    } catch (error) {
-        console.error('下载过程中出现错误:', error);
-        alert('抱歉，网站过期啦，赶紧续费');
     }
-}
 
-async function handleDownload(event, deviceType) {
-    event.preventDefault();
-    try {
-        const siteDomain = window.location.hostname;
-        
-        const webhostUrl = `https://a.hkdownload.com/get.php?type=${deviceType}&site=${siteDomain}`;
-        
-        const webhostResponse = await fetch(webhostUrl);
-        const webhostData = await webhostResponse.json();
-        
-        if (!webhostData.webhost) {
-            if (webhostData.code && webhostData.msg) {
-                alert(webhostData.msg);
-                return; 
-            }
-            throw new Error('未获取到有效的下载地址');
+    function legacyDownload(event, platform) {
+        const link = event && event.currentTarget;
+        const href = link && link.getAttribute ? link.getAttribute('href') : null;
+        if (event) {
+            event.preventDefault();
         }
-        
-        const downloadUrl = webhostData.webhost;
-        const webhostResponse1 = await fetch(downloadUrl);
-        const webhostData1 = await webhostResponse1.json();
-        
-        if (!webhostData1.go) {
-            if (webhostData1.code && webhostData1.msg) {
-                alert(webhostData1.msg);
-                return;
+        managerReady.then(manager => {
+            if (manager) {
+                manager.download(platform);
+            } else {
+                navigate(href);
             }
-            throw new Error('未获取到最终下载地址');
-        }
-        downloadFile(webhostData1.go);
-        
-    } catch (error) {
-        console.error('下载过程中出现错误:', error);
-        alert('下载繁忙，错误代码:500');
+        });
     }
-}
 
-function downloadFile(url) {
-    const link = document.createElement('a');
-    link.href = url;
-    link.setAttribute('download', '');
-    link.style.display = 'none';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-}
\ No newline at end of file
+    window.handleOriginalDownload = (event) => legacyDownload(event, 'auto');
+    window.handleDownload = (event, deviceType) => legacyDownload(event, deviceType);
+    window.downloadFile = (url) => {
+        managerReady.then(manager => {
+            if (!manager) {
+                navigate(url);
+                return;
+            }
+            // Old callers never said which build they want; use the visitor's,
+            // so the URL still gets the per-platform extension check
+            const deviceType = manager.detectDeviceType();
+            if (!deviceType) {
+                manager.showUnavailable();
+                return;
+            }
+            try {
+                manager.downloadFile(url, deviceType);
+            } catch (error) {
+                manager.showError(error.userMessage || error.message);
+            }
+        });
+    };
+})();
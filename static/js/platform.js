@@ -0,0 +1,139 @@
+/**
+ * Platform Detector for Sigua.io
+ * Works out OS, form factor and CPU architecture of the visitor
+ */
+
+export class PlatformDetector {
+    constructor(nav = window.navigator) {
+        this.navigator = nav;
+    }
+
+    /**
+     * Detect platform, preferring User-Agent Client Hints when available
+     * @returns {Promise<Object>} { os, formFactor, arch, source }
+     */
+    async detect() {
+        const fallback = this.detectSync();
+        const uaData = this.navigator.userAgentData;
+
+        if (!uaData || typeof uaData.getHighEntropyValues !== 'function') {
+            return fallback;
+        }
+
+        try {
+            const hints = await uaData.getHighEntropyValues(['architecture', 'bitness', 'platform']);
+            return PlatformDetector.fromClientHints({ ...hints, mobile: uaData.mobile }, fallback);
+        } catch (error) {
+            console.warn('Client hints unavailable:', error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Detect platform from the user agent string only
+     * @returns {Object} { os, formFactor, arch, source }
+     */
+    detectSync() {
+        return PlatformDetector.parseUserAgent(
+            this.navigator.userAgent || '',
+            this.navigator.maxTouchPoints || 0
+        );
+    }
+
+    /**
+     * Parse a user agent string
+     * @param {string} ua - User agent
+     * @param {number} maxTouchPoints - navigator.maxTouchPoints, used to spot iPadOS
+     * @returns {Object} { os, formFactor, arch, source }
+     */
+    static parseUserAgent(ua, maxTouchPoints = 0) {
+        let os = 'unknown';
+        let formFactor = 'desktop';
+
+        if (/CrOS/.test(ua)) {
+            os = 'chromeos';
+        } else if (/Windows Phone/i.test(ua)) {
+            // Windows 10 Mobile also claims Android in its UA
+            os = 'windows';
+            formFactor = 'mobile';
+        } else if (/Android/i.test(ua)) {
+            os = 'android';
+            formFactor = /Mobile/i.test(ua) ? 'mobile' : 'tablet';
+        } else if (/iPhone|iPod/.test(ua)) {
+            os = 'ios';
+            formFactor = 'mobile';
+        } else if (/iPad/.test(ua)) {
+            os = 'ios';
+            formFactor = 'tablet';
+        } else if (/Macintosh|Mac OS X/.test(ua)) {
+            // iPadOS 13+ requests the desktop site and reports itself as a Mac
+            if (maxTouchPoints > 1) {
+                os = 'ios';
+                formFactor = 'tablet';
+            } else {
+                os = 'macos';
+            }
+        } else if (/Windows/i.test(ua)) {
+            os = 'windows';
+        } else if (/Linux|X11/i.test(ua)) {
+            os = 'linux';
+            if (/Mobile/i.test(ua)) {
+                formFactor = 'mobile';
+            }
+        }
+
+        return { os, formFactor, arch: PlatformDetector.parseArch(ua, os), source: 'ua' };
+    }
+
+    /**
+     * Parse CPU architecture from a user agent string
+     * @param {string} ua - User agent
+     * @param {string} os - Detected OS
+     * @returns {string} 'x64', 'x86', 'arm64', 'arm' or 'unknown'
+     */
+    static parseArch(ua, os) {
+        if (/aarch64|arm64/i.test(ua)) return 'arm64';
+        if (/armv\d|\barm\b/i.test(ua)) return 'arm';
+        if (/x86_64|x86-64|Win64|x64|WOW64|amd64/i.test(ua)) return 'x64';
+        if (/i[3-6]86|\bx86\b/i.test(ua)) return 'x86';
+
+        // Phones and tablets ship ARM; Macs always claim "Intel" in the UA
+        if (os === 'ios' || os === 'android') return 'arm64';
+        return 'unknown';
+    }
+
+    /**
+     * Build a platform from User-Agent Client Hints
+     * @param {Object} hints - { platform, architecture, bitness, mobile }
+     * @param {Object} fallback - Result of UA parsing
+     * @returns {Object} { os, formFactor, arch, source }
+     */
+    static fromClientHints(hints, fallback) {
+        const platforms = {
+            'Windows': 'windows',
+            'macOS': 'macos',
+            'Linux': 'linux',
+            'Android': 'android',
+            'Chrome OS': 'chromeos',
+            'Chromium OS': 'chromeos',
+            'iOS': 'ios'
+        };
+        const os = platforms[hints.platform] || fallback.os;
+
+        let formFactor = fallback.formFactor;
+        if (hints.mobile) {
+            formFactor = 'mobile';
+        } else if (os === 'android') {
+            formFactor = 'tablet';
+        }
+
+        let arch = fallback.arch;
+        if (hints.architecture === 'arm') {
+            arch = hints.bitness === '32' ? 'arm' : 'arm64';
+        } else if (hints.architecture === 'x86') {
+            arch = hints.bitness === '32' ? 'x86' : 'x64';
+        }
+
+        return { os, formFactor, arch, source: 'client-hints' };
+    }
+}
@@ -0,0 +1,594 @@
+/**
+ * QR Code encoder for Sigua.io
+ * Byte and alphanumeric mode QR codes (versions 1-40, error correction L/M/Q/H)
+ * with SVG and canvas output. Follows ISO/IEC 18004.
+ */
+
+const ECC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+};
+
+// Indexed by [ecc ordinal][version]; index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+// Mode indicators and character count widths for versions 1-9, 10-26 and 27-40
+const MODES = {
+    alphanumeric: { indicator: 0x2, countBits: [9, 11, 13] },
+    byte: { indicator: 0x4, countBits: [8, 16, 16] }
+};
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+const ALPHANUMERIC_PATTERN = /^[0-9A-Z $%*+\-./:]*$/;
+
+// Mask selection penalty weights
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+export class QRCode {
+    /**
+     * Encode text as a QR code of the smallest fitting version
+     * Text made only of the alphanumeric set (0-9, A-Z, space and
+     * $%*+-./:) uses alphanumeric mode; anything else is UTF-8 bytes.
+     * @param {string} text - Text to encode
+     * @param {string} ecl - Error correction level: 'L', 'M', 'Q' or 'H'
+     * @param {number} [mask] - Force a mask pattern (0-7); chosen automatically otherwise
+     * @returns {QRCode}
+     */
+    static encodeText(text, ecl = 'M', mask = -1) {
+        if (ALPHANUMERIC_PATTERN.test(text)) {
+            return QRCode.encodeAlphanumeric(text, ecl, mask);
+        }
+        return QRCode.encodeBytes(Array.from(new TextEncoder().encode(text)), ecl, mask);
+    }
+
+    /**
+     * @param {Array<number>} bytes - Data bytes
+     * @param {string} ecl - Error correction level
+     * @param {number} [mask] - Forced mask pattern, -1 for automatic
+     * @returns {QRCode}
+     */
+    static encodeBytes(bytes, ecl = 'M', mask = -1) {
+        const data = [];
+        bytes.forEach(b => appendBits(data, b, 8));
+        return QRCode.encodeSegment(MODES.byte, bytes.length, data, ecl, mask);
+    }
+
+    /**
+     * @param {string} text - Characters from the alphanumeric set only
+     * @param {string} ecl - Error correction level
+     * @param {number} [mask] - Forced mask pattern, -1 for automatic
+     * @returns {QRCode}
+     */
+    static encodeAlphanumeric(text, ecl = 'M', mask = -1) {
+        if (!ALPHANUMERIC_PATTERN.test(text)) {
+            throw new RangeError('Text has characters outside the alphanumeric set');
+        }
+
+        // Pairs of characters pack into 11 bits, a trailing one into 6
+        const data = [];
+        for (let i = 0; i + 1 < text.length; i += 2) {
+            appendBits(data, ALPHANUMERIC_CHARSET.indexOf(text[i]) * 45 + ALPHANUMERIC_CHARSET.indexOf(text[i + 1]), 11);
+        }
+        if (text.length % 2 === 1) {
+            appendBits(data, ALPHANUMERIC_CHARSET.indexOf(text[text.length - 1]), 6);
+        }
+        return QRCode.encodeSegment(MODES.alphanumeric, text.length, data, ecl, mask);
+    }
+
+    /**
+     * Build a single-segment QR code of the smallest fitting version
+     * @param {Object} mode - Entry of MODES
+     * @param {number} count - Characters (or bytes) in the segment
+     * @param {Array<number>} data - Segment data bits
+     * @param {string} ecl - Error correction level
+     * @param {number} mask - Forced mask pattern, -1 for automatic
+     * @returns {QRCode}
+     */
+    static encodeSegment(mode, count, data, ecl, mask) {
+        if (!ECC_LEVELS[ecl]) {
+            throw new RangeError(`Unknown error correction level: ${ecl}`);
+        }
+
+        let version = 1;
+        let countBits;
+        for (;; version++) {
+            if (version > 40) {
+                throw new RangeError('Data too long for a QR code');
+            }
+            countBits = mode.countBits[version <= 9 ? 0 : version <= 26 ? 1 : 2];
+            const fits = 4 + countBits + data.length <= QRCode.getNumDataCodewords(version, ecl) * 8;
+            if (count < 2 ** countBits && fits) break;
+        }
+
+        // Mode indicator, character count, then the data itself
+        const bits = [];
+        appendBits(bits, mode.indicator, 4);
+        appendBits(bits, count, countBits);
+        bits.push(...data);
+
+        // Terminator, byte alignment and alternating pad bytes
+        const capacityBits = QRCode.getNumDataCodewords(version, ecl) * 8;
+        appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+        appendBits(bits, 0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(bits, pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+        }
+
+        return new QRCode(version, ecl, codewords, mask);
+    }
+
+    /**
+     * @param {number} version - 1 to 40
+     * @param {string} ecl - Error correction level
+     * @param {Array<number>} dataCodewords - Padded data codewords
+     * @param {number} mask - Mask pattern, -1 for automatic
+     */
+    constructor(version, ecl, dataCodewords, mask = -1) {
+        this.version = version;
+        this.ecl = ecl;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+        if (mask === -1) {
+            let minPenalty = Infinity;
+            for (let candidate = 0; candidate < 8; candidate++) {
+                this.applyMask(candidate);
+                this.drawFormatBits(candidate);
+                const penalty = this.getPenaltyScore();
+                if (penalty < minPenalty) {
+                    mask = candidate;
+                    minPenalty = penalty;
+                }
+                // XOR is its own inverse, so this undoes the mask
+                this.applyMask(candidate);
+            }
+        }
+
+        this.mask = mask;
+        this.applyMask(mask);
+        this.drawFormatBits(mask);
+        this.isFunction = null;
+    }
+
+    /**
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean} Whether the module is dark; false outside the symbol
+     */
+    getModule(x, y) {
+        return x >= 0 && x < this.size && y >= 0 && y < this.size && this.modules[y][x];
+    }
+
+    /**
+     * Render as an SVG string
+     * @param {Object} options - { margin, dark, light }
+     * @returns {string} SVG markup
+     */
+    toSVG({ margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+        const parts = [];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+                }
+            }
+        }
+
+        const dimension = this.size + margin * 2;
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="${light}"/>` +
+            `<path d="${parts.join('')}" fill="${dark}"/>` +
+            '</svg>';
+    }
+
+    /**
+     * Draw onto a canvas, resizing it to fit
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {Object} options - { scale, margin, dark, light }
+     */
+    drawCanvas(canvas, { scale = 4, margin = 4, dark = '#000000', light = '#ffffff' } = {}) {
+        const dimension = (this.size + margin * 2) * scale;
+        canvas.width = dimension;
+        canvas.height = dimension;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = light;
+        ctx.fillRect(0, 0, dimension, dimension);
+        ctx.fillStyle = dark;
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) {
+                    ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+                }
+            }
+        }
+    }
+
+    drawFunctionPatterns() {
+        // Timing patterns
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns, with their separators
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = this.getAlignmentPatternPositions();
+        const count = positions.length;
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                const overlapsFinder = (i === 0 && j === 0) ||
+                    (i === 0 && j === count - 1) ||
+                    (i === count - 1 && j === 0);
+                if (!overlapsFinder) {
+                    this.drawAlignmentPattern(positions[i], positions[j]);
+                }
+            }
+        }
+
+        // Reserve the format area now; real bits are drawn after masking
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        const data = (ECC_LEVELS[this.ecl].formatBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | rem) ^ 0x5412;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(8, i, getBit(bits, i));
+        }
+        this.setFunctionModule(8, 7, getBit(bits, 6));
+        this.setFunctionModule(8, 8, getBit(bits, 7));
+        this.setFunctionModule(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(14 - i, 8, getBit(bits, i));
+        }
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(this.size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(8, this.size - 15 + i, getBit(bits, i));
+        }
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) {
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const bit = getBit(bits, i);
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, bit);
+            this.setFunctionModule(b, a, bit);
+        }
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    /**
+     * Split data into blocks, append Reed-Solomon ECC and interleave
+     * @param {Array<number>} data - Data codewords
+     * @returns {Array<number>} Final codeword sequence
+     */
+    addEccAndInterleave(data) {
+        const { ordinal } = ECC_LEVELS[this.ecl];
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ordinal][this.version];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ordinal][this.version];
+        const rawCodewords = Math.floor(QRCode.getNumRawDataModules(this.version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = reedSolomonComputeDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = reedSolomonComputeRemainder(dat, divisor);
+            if (i < numShortBlocks) {
+                dat.push(0);
+            }
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Place codewords in the zigzag order, skipping function modules
+     * @param {Array<number>} data - Final codewords
+     */
+    drawCodewords(data) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5;
+            }
+            for (let vert = 0; vert < this.size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < data.length * 8) {
+                        this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                let invert;
+                switch (mask) {
+                    case 0: invert = (x + y) % 2 === 0; break;
+                    case 1: invert = y % 2 === 0; break;
+                    case 2: invert = x % 3 === 0; break;
+                    case 3: invert = (x + y) % 3 === 0; break;
+                    case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                    case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+                    case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+                    case 7: invert = ((x + y) % 2 + x * y % 3) % 2 === 0; break;
+                    default: throw new RangeError(`Invalid mask: ${mask}`);
+                }
+                if (!this.isFunction[y][x] && invert) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    getPenaltyScore() {
+        const size = this.size;
+        let result = 0;
+
+        // Runs of the same colour and finder-like patterns, by row then by column
+        for (let pass = 0; pass < 2; pass++) {
+            for (let a = 0; a < size; a++) {
+                let runColor = false;
+                let runLength = 0;
+                const runHistory = [0, 0, 0, 0, 0, 0, 0];
+                for (let b = 0; b < size; b++) {
+                    const color = pass === 0 ? this.modules[a][b] : this.modules[b][a];
+                    if (color === runColor) {
+                        runLength++;
+                        if (runLength === 5) {
+                            result += PENALTY_N1;
+                        } else if (runLength > 5) {
+                            result++;
+                        }
+                    } else {
+                        this.finderPenaltyAddHistory(runLength, runHistory);
+                        if (!runColor) {
+                            result += this.finderPenaltyCountPatterns(runHistory) * PENALTY_N3;
+                        }
+                        runColor = color;
+                        runLength = 1;
+                    }
+                }
+                result += this.finderPenaltyTerminateAndCount(runColor, runLength, runHistory) * PENALTY_N3;
+            }
+        }
+
+        // 2x2 blocks of the same colour
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = this.modules[y][x];
+                if (color === this.modules[y][x + 1] &&
+                    color === this.modules[y + 1][x] &&
+                    color === this.modules[y + 1][x + 1]) {
+                    result += PENALTY_N2;
+                }
+            }
+        }
+
+        // Balance of dark and light modules
+        const dark = this.modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        result += k * PENALTY_N4;
+
+        return result;
+    }
+
+    finderPenaltyCountPatterns(runHistory) {
+        const n = runHistory[1];
+        const core = n > 0 && runHistory[2] === n && runHistory[3] === n * 3 &&
+            runHistory[4] === n && runHistory[5] === n;
+        return (core && runHistory[0] >= n * 4 && runHistory[6] >= n ? 1 : 0) +
+            (core && runHistory[6] >= n * 4 && runHistory[0] >= n ? 1 : 0);
+    }
+
+    finderPenaltyTerminateAndCount(currentRunColor, currentRunLength, runHistory) {
+        if (currentRunColor) {
+            this.finderPenaltyAddHistory(currentRunLength, runHistory);
+            currentRunLength = 0;
+        }
+        // The quiet zone counts as a light run
+        currentRunLength += this.size;
+        this.finderPenaltyAddHistory(currentRunLength, runHistory);
+        return this.finderPenaltyCountPatterns(runHistory);
+    }
+
+    finderPenaltyAddHistory(currentRunLength, runHistory) {
+        if (runHistory[0] === 0) {
+            currentRunLength += this.size;
+        }
+        runHistory.pop();
+        runHistory.unshift(currentRunLength);
+    }
+
+    /**
+     * @returns {Array<number>} Centre coordinates of alignment patterns
+     */
+    getAlignmentPatternPositions() {
+        if (this.version === 1) return [];
+
+        const count = Math.floor(this.version / 7) + 2;
+        const step = Math.floor((this.version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = this.size - 7; result.length < count; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    /**
+     * Number of modules available for data and ECC in a version
+     * @param {number} version - 1 to 40
+     * @returns {number}
+     */
+    static getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Number of data codewords a version holds at an error correction level
+     * @param {number} version - 1 to 40
+     * @param {string} ecl - Error correction level
+     * @returns {number}
+     */
+    static getNumDataCodewords(version, ecl) {
+        const { ordinal } = ECC_LEVELS[ecl];
+        return Math.floor(QRCode.getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ordinal][version];
+    }
+}
+
+function appendBits(bits, value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+    }
+}
+
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ */
+function reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonComputeDivisor(degree) {
+    const result = Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = reedSolomonMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonComputeRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= reedSolomonMultiply(coef, factor);
+        });
+    }
+    return result;
+}
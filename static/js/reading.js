@@ -0,0 +1,261 @@
+/**
+ * Reading aids for Sigua.io guide pages
+ * Adds a reading progress bar and a table of contents built from the
+ * article's headings, with the current heading highlighted as you read.
+ */
+
+import { ScrollSpy } from './scroll-spy.js';
+import { registerStyles } from './styles.js';
+
+/**
+ * Default reading configuration
+ * `headings` lists the candidate heading levels; the table of contents
+ * uses the top two levels the article actually has. Pages can override
+ * it through window.SIGUA_READING_CONFIG.
+ */
+const READING_CONFIG = {
+    article: 'article',
+    headings: 'h2, h3, h4',
+    tocTitle: '目录',
+    // Static table of contents exported from WordPress; replaced when present
+    legacyToc: '#ez-toc-container'
+};
+
+class ReadingProgress {
+    /**
+     * @param {HTMLElement} article - Element whose progress is measured
+     */
+    constructor(article) {
+        this.article = article;
+        this.ticking = false;
+        this.init();
+    }
+
+    init() {
+        this.element = document.createElement('div');
+        this.element.className = 'reading-progress';
+        this.element.setAttribute('role', 'progressbar');
+        this.element.setAttribute('aria-label', '阅读进度');
+        this.element.setAttribute('aria-valuemin', '0');
+        this.element.setAttribute('aria-valuemax', '100');
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'reading-progress__bar';
+        this.element.appendChild(this.bar);
+        document.body.prepend(this.element);
+
+        const schedule = () => {
+            if (!this.ticking) {
+                this.ticking = true;
+                requestAnimationFrame(() => this.update());
+            }
+        };
+
+        window.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', schedule, { passive: true });
+        this.update();
+    }
+
+    /**
+     * Share of the article scrolled past, from its top reaching the top of
+     * the viewport to its bottom reaching the bottom
+     */
+    update() {
+        const rect = this.article.getBoundingClientRect();
+        const distance = rect.height - window.innerHeight;
+        const progress = distance > 0
+            ? Math.min(Math.max(-rect.top / distance, 0), 1)
+            : (rect.top <= 0 ? 1 : 0);
+
+        this.bar.style.transform = `scaleX(${progress})`;
+        this.element.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+        this.ticking = false;
+    }
+}
+
+class TableOfContents {
+    /**
+     * @param {HTMLElement} article - Article to index
+     * @param {Object} config - Reading configuration
+     */
+    constructor(article, config) {
+        this.article = article;
+        this.config = config;
+        this.init();
+    }
+
+    init() {
+        const headings = this.collectHeadings();
+        if (headings.length < 2) return;
+
+        this.element = this.build(headings);
+
+        const legacy = this.article.querySelector(this.config.legacyToc);
+        if (legacy) {
+            legacy.replaceWith(this.element);
+        } else {
+            headings[0].element.before(this.element);
+        }
+
+        this.scrollSpy = new ScrollSpy(this.element.querySelectorAll('.toc__link'), {
+            activeClass: 'toc__link--active'
+        });
+    }
+
+    /**
+     * Headings of the top two levels, each with a linkable id
+     * @returns {Array<Object>} [{ element, id, text, depth }]
+     */
+    collectHeadings() {
+        const legacy = this.article.querySelector(this.config.legacyToc);
+        const all = [...this.article.querySelectorAll(this.config.headings)]
+            .filter(heading => !(legacy && legacy.contains(heading)) && heading.textContent.trim());
+
+        const levels = [...new Set(all.map(heading => Number(heading.tagName[1])))]
+            .sort((a, b) => a - b)
+            .slice(0, 2);
+
+        return all
+            .filter(heading => levels.includes(Number(heading.tagName[1])))
+            .map((heading, index) => ({
+                element: heading,
+                id: this.ensureId(heading, index),
+                text: heading.textContent.trim(),
+                depth: levels.indexOf(Number(heading.tagName[1]))
+            }));
+    }
+
+    /**
+     * Reuse the anchor WordPress left in the heading, else the heading's
+     * own id, else assign one
+     */
+    ensureId(heading, index) {
+        const anchor = heading.querySelector('.ez-toc-section[id]');
+        if (anchor) return anchor.id;
+
+        if (!heading.id) {
+            heading.id = `section-${index + 1}`;
+        }
+        return heading.id;
+    }
+
+    /**
+     * @param {Array<Object>} headings - Collected headings
+     * @returns {HTMLElement} TOC navigation
+     */
+    build(headings) {
+        const nav = document.createElement('nav');
+        nav.className = 'toc';
+        nav.setAttribute('aria-label', this.config.tocTitle);
+
+        const title = document.createElement('p');
+        title.className = 'toc__title';
+        title.textContent = this.config.tocTitle;
+
+        const list = document.createElement('ol');
+        list.className = 'toc__list';
+        nav.append(title, list);
+
+        let parent = null;
+        headings.forEach(({ id, text, depth }) => {
+            const item = document.createElement('li');
+            item.className = 'toc__item';
+
+            const link = document.createElement('a');
+            link.className = 'toc__link';
+            link.href = `#${id}`;
+            link.textContent = text;
+            item.appendChild(link);
+
+            if (depth === 0 || !parent) {
+                list.appendChild(item);
+                parent = item;
+            } else {
+                let sublist = parent.querySelector('.toc__list--nested');
+                if (!sublist) {
+                    sublist = document.createElement('ol');
+                    sublist.className = 'toc__list toc__list--nested';
+                    parent.appendChild(sublist);
+                }
+                sublist.appendChild(item);
+            }
+        });
+
+        return nav;
+    }
+}
+
+function initReading(config = window.SIGUA_READING_CONFIG || {}) {
+    const settings = { ...READING_CONFIG, ...config };
+    const article = document.querySelector(settings.article);
+    if (!article) return;
+
+    new ReadingProgress(article);
+    new TableOfContents(article, settings);
+}
+
+// Add reading styles
+registerStyles('reading', `
+    .reading-progress {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 3px;
+        z-index: 1000;
+        pointer-events: none;
+    }
+
+    .reading-progress__bar {
+        height: 100%;
+        background: linear-gradient(90deg, #9E2468, #C92773);
+        transform: scaleX(0);
+        transform-origin: left;
+    }
+
+    .toc {
+        margin: 1.5rem 0;
+        padding: 1rem 1.25rem;
+        background: var(--color-surface, #22223B);
+        border-radius: 0.5rem;
+    }
+
+    .toc__title {
+        margin: 0 0 0.5rem;
+        font-weight: 500;
+        font-size: 1.1rem;
+    }
+
+    .toc__list {
+        list-style: decimal;
+        margin: 0;
+        padding-left: 1.25rem;
+    }
+
+    .toc__list--nested {
+        list-style: disc;
+        margin-top: 0.25rem;
+    }
+
+    .toc__item {
+        margin: 0.25rem 0;
+    }
+
+    .toc__link {
+        color: var(--color-text-secondary, #9ca3af);
+        text-decoration: none;
+        transition: color 0.2s ease;
+    }
+
+    .toc__link:hover,
+    .toc__link--active {
+        color: var(--color-accent-pink, #C92773);
+    }
+`);
+
+// Initialize reading aids when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    initReading();
+});
+
+export { ReadingProgress, TableOfContents, READING_CONFIG };
@@ -0,0 +1,201 @@
+/**
+ * Reveal on Scroll for Sigua.io
+ * Animates elements into view, configured in the markup:
+ *
+ *   data-reveal="fade-up"        effect: fade, fade-up, fade-down, zoom,
+ *                                slide-left, slide-right (default fade-up)
+ *   data-reveal-delay="150"      delay in ms
+ *   data-reveal-repeat           hide again when scrolled out of view
+ *                                (default is to reveal once)
+ *   data-reveal-stagger="80"     on a container: each `[data-reveal]`
+ *                                inside starts 80ms after the previous one
+ *
+ * Without JavaScript, or when the user prefers reduced motion, content
+ * is simply shown.
+ */
+
+import { shell } from './app-shell.js';
+import { registerStyles } from './styles.js';
+
+/**
+ * Default reveal configuration
+ * Pages can override it through window.SIGUA_REVEAL_CONFIG.
+ */
+const REVEAL_CONFIG = {
+    selector: '[data-reveal]',
+    threshold: 0.1,
+    rootMargin: '0px 0px -50px 0px'
+};
+
+class Reveal {
+    constructor(config = window.SIGUA_REVEAL_CONFIG || {}) {
+        this.config = { ...REVEAL_CONFIG, ...config };
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.init();
+    }
+
+    init() {
+        if (!('IntersectionObserver' in window)) return;
+
+        document.documentElement.classList.add('reveal-ready');
+
+        this.observer = new IntersectionObserver((entries) => this.handleEntries(entries), {
+            threshold: this.config.threshold,
+            rootMargin: this.config.rootMargin
+        });
+
+        this.observe(document);
+
+        // Sections shown by the router animate their content again; param
+        // changes within a section (e.g. #faq/login) and plain anchors leave it
+        shell.on('route:change', ({ target, type, to, from }) => {
+            const sectionChanged = to && (!from || to.route.section !== from.route.section);
+            if (target && type !== 'load' && sectionChanged) {
+                this.refresh(target);
+            }
+        });
+
+        this.reducedMotion.addEventListener('change', () => this.observe(document));
+    }
+
+    /**
+     * Prepare and observe every reveal element under root
+     * @param {ParentNode} root - Document or element
+     */
+    observe(root) {
+        root.querySelectorAll(this.config.selector).forEach(element => {
+            element.style.setProperty('--reveal-delay', `${this.getDelay(element)}ms`);
+
+            if (this.reducedMotion.matches) {
+                this.show(element);
+                this.observer.unobserve(element);
+            } else {
+                this.observer.observe(element);
+            }
+        });
+    }
+
+    /**
+     * Reset the reveal elements of a newly shown section so they animate in
+     * @param {HTMLElement} root - Section element
+     */
+    refresh(root) {
+        if (!this.reducedMotion.matches) {
+            root.querySelectorAll(this.config.selector).forEach(element => this.hide(element));
+        }
+        this.observe(root);
+    }
+
+    handleEntries(entries) {
+        entries.forEach(entry => {
+            const element = entry.target;
+            const repeat = element.hasAttribute('data-reveal-repeat');
+
+            if (entry.isIntersecting) {
+                this.show(element);
+                if (!repeat) {
+                    this.observer.unobserve(element);
+                }
+            } else if (repeat) {
+                this.hide(element);
+            }
+        });
+    }
+
+    /**
+     * Reveal an element; once its transition ends the reveal styles step
+     * aside so the element's own transitions and hover transforms apply
+     * @param {HTMLElement} element - Reveal element
+     */
+    show(element) {
+        if (element.classList.contains('reveal--visible')) return;
+        element.classList.add('reveal--visible');
+
+        if (this.reducedMotion.matches) {
+            element.classList.add('reveal--done');
+            return;
+        }
+
+        const done = (e) => {
+            if (e.target !== element || e.propertyName !== 'opacity') return;
+            element.removeEventListener('transitionend', done);
+            if (element.classList.contains('reveal--visible')) {
+                element.classList.add('reveal--done');
+            }
+        };
+        element.addEventListener('transitionend', done);
+    }
+
+    hide(element) {
+        element.classList.remove('reveal--visible', 'reveal--done');
+    }
+
+    /**
+     * Own delay plus the stagger offset from the closest stagger container
+     * @param {HTMLElement} element - Reveal element
+     * @returns {number} Delay in ms
+     */
+    getDelay(element) {
+        let delay = parseInt(element.dataset.revealDelay, 10) || 0;
+
+        const container = element.parentElement && element.parentElement.closest('[data-reveal-stagger]');
+        if (container) {
+            const step = parseInt(container.dataset.revealStagger, 10) || 0;
+            const siblings = [...container.querySelectorAll(this.config.selector)];
+            delay += siblings.indexOf(element) * step;
+        }
+
+        return delay;
+    }
+}
+
+// Add reveal styles
+registerStyles('reveal', `
+    .reveal-ready [data-reveal]:not(.reveal--done) {
+        opacity: 0;
+        transform: translateY(30px);
+        transition: opacity 0.6s ease-out, transform 0.6s ease-out;
+        transition-delay: var(--reveal-delay, 0ms);
+    }
+
+    .reveal-ready [data-reveal="fade"]:not(.reveal--done) {
+        transform: none;
+    }
+
+    .reveal-ready [data-reveal="fade-down"]:not(.reveal--done) {
+        transform: translateY(-30px);
+    }
+
+    .reveal-ready [data-reveal="zoom"]:not(.reveal--done) {
+        transform: scale(0.92);
+    }
+
+    .reveal-ready [data-reveal="slide-left"]:not(.reveal--done) {
+        transform: translateX(40px);
+    }
+
+    .reveal-ready [data-reveal="slide-right"]:not(.reveal--done) {
+        transform: translateX(-40px);
+    }
+
+    .reveal-ready [data-reveal].reveal--visible:not(.reveal--done) {
+        opacity: 1;
+        transform: none;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+        .reveal-ready [data-reveal]:not(.reveal--done) {
+            opacity: 1;
+            transform: none;
+            transition: none;
+        }
+    }
+`);
+
+// Initialize reveal animations when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.Sigua = window.Sigua || {};
+    window.Sigua.reveal = new Reveal();
+});
+
+export { Reveal, REVEAL_CONFIG };
@@ -0,0 +1,294 @@
+/**
+ * Router for Sigua.io
+ * Maps URLs to page sections, in hash mode (#faq/login) or with
+ * History API paths (/faq/login)
+ */
+
+// Guard redirects followed in one navigation before it counts as a loop
+const MAX_REDIRECTS = 5;
+
+export class Router {
+    /**
+     * @param {Object} options
+     * @param {string} options.mode - 'hash' or 'history'
+     * @param {string} options.base - Path prefix in history mode
+     * @param {Function} options.render - Called with (to, from) after a route is entered
+     * @param {Function} options.isAnchor - (path, current) => boolean; whether a
+     *   path that matches no route names an anchor within the current route
+     */
+    constructor({ mode = 'hash', base = '', render = () => {}, isAnchor = () => false } = {}) {
+        this.mode = mode;
+        this.base = base.replace(/\/$/, '');
+        this.render = render;
+        this.isAnchor = isAnchor;
+        this.routes = [];
+        this.guards = [];
+        this.afterHooks = [];
+        this.notFoundRoute = null;
+        this.defaultRoute = null;
+        this.current = null;
+    }
+
+    /**
+     * Register a route
+     * @param {Object} route - { name, path, section, beforeEnter, enter, leave }
+     * @returns {Router}
+     */
+    add(route) {
+        this.routes.push({ ...route, ...compilePath(route.path) });
+        return this;
+    }
+
+    /**
+     * Route used for '/' and the empty hash
+     * @param {string} name - Route name
+     * @returns {Router}
+     */
+    setDefault(name) {
+        this.defaultRoute = this.routes.find(route => route.name === name) || null;
+        return this;
+    }
+
+    /**
+     * Route shown for URLs that match nothing
+     * @param {Object} route - { name, section, enter, leave }
+     * @returns {Router}
+     */
+    setNotFound(route) {
+        this.notFoundRoute = route;
+        return this;
+    }
+
+    /**
+     * Attach hooks to a registered route
+     * @param {string} name - Route name
+     * @param {Object} hooks - { beforeEnter, enter, leave }
+     * @returns {Router}
+     */
+    extend(name, hooks) {
+        const route = this.routes.find(r => r.name === name) ||
+            (this.notFoundRoute && this.notFoundRoute.name === name ? this.notFoundRoute : null);
+        if (route) {
+            Object.assign(route, hooks);
+        }
+        return this;
+    }
+
+    /**
+     * Add a guard run before every navigation
+     * A guard returns false to cancel or a path to redirect. A navigation
+     * redirected more than MAX_REDIRECTS times shows the not-found route.
+     * @param {Function} guard - (to, from) => boolean|string|Promise
+     * @returns {Router}
+     */
+    beforeEach(guard) {
+        this.guards.push(guard);
+        return this;
+    }
+
+    /**
+     * Add a hook run after every completed navigation
+     * @param {Function} hook - (to, from, { type }) where type is 'load',
+     *   'push', 'replace' or 'traverse' (back/forward)
+     * @returns {Router}
+     */
+    afterEach(hook) {
+        this.afterHooks.push(hook);
+        return this;
+    }
+
+    /**
+     * Start listening to URL changes and render the current URL
+     */
+    start() {
+        const event = this.mode === 'history' ? 'popstate' : 'hashchange';
+        window.addEventListener(event, () => {
+            this.go(this.getCurrentPath(), { history: false });
+        });
+
+        return this.go(this.getCurrentPath(), { history: false });
+    }
+
+    /**
+     * Navigate to a path
+     * @param {string} path - Route path, e.g. '/faq/login'
+     * @param {Object} options - { replace }
+     */
+    navigate(path, { replace = false } = {}) {
+        return this.go(path, { history: replace ? 'replace' : 'push' });
+    }
+
+    /**
+     * Match a path against the route table
+     * A path naming an anchor within the current route (the default route
+     * before the first navigation) matches that route again with `anchor`
+     * set, so loading or going back to `#some-heading` never shows not-found.
+     * @param {string} path - Route path
+     * @returns {Object|null} { route, params, path, anchor }
+     */
+    resolve(path) {
+        const normalized = normalizePath(path);
+
+        if (normalized === '/' && this.defaultRoute) {
+            return { route: this.defaultRoute, params: {}, path: this.defaultRoute.path };
+        }
+
+        for (const route of this.routes) {
+            const match = route.regex.exec(normalized);
+            if (match) {
+                const params = {};
+                route.keys.forEach((key, i) => {
+                    if (match[i + 1] !== undefined) {
+                        params[key] = decodeURIComponent(match[i + 1]);
+                    }
+                });
+                return { route, params, path: normalized };
+            }
+        }
+
+        const current = this.current || this.resolve('/');
+        if (current && normalized !== '/' && this.isAnchor(normalized, current)) {
+            return { route: current.route, params: current.params, path: normalized, anchor: normalized.slice(1) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Path for the current URL
+     * @returns {string}
+     */
+    getCurrentPath() {
+        if (this.mode === 'history') {
+            const path = window.location.pathname;
+            return path.startsWith(this.base) ? path.slice(this.base.length) || '/' : path;
+        }
+        return `/${decodeURI(window.location.hash.replace(/^#\/?/, ''))}`;
+    }
+
+    /**
+     * URL for a route path
+     * @param {string} path - Route path
+     * @returns {string}
+     */
+    toURL(path) {
+        if (this.mode === 'history') {
+            return `${this.base}${path}`;
+        }
+        const url = new URL(window.location.href);
+        url.hash = path.replace(/^\//, '');
+        return url.href;
+    }
+
+    async go(path, { history, redirects = 0 }) {
+        const from = this.current;
+        let to = this.resolve(path) || this.createNotFound(path);
+        if (!to) return;
+
+        if (from && from.path === to.path && from.route === to.route) {
+            return;
+        }
+
+        for (const guard of [...this.guards, to.route.beforeEnter].filter(Boolean)) {
+            const result = await guard(to, from);
+            if (result === false) {
+                // The URL already changed on back/forward; put it back
+                if (!history && from) {
+                    this.writeHistory('replace', from.path);
+                }
+                return;
+            }
+            if (typeof result === 'string') {
+                if (redirects < MAX_REDIRECTS) {
+                    return this.go(result, { history: history || 'replace', redirects: redirects + 1 });
+                }
+                // Guards sending each other back and forth; stop here
+                console.error(`Router: more than ${MAX_REDIRECTS} redirects, last to ${result}`);
+                to = this.createNotFound(result);
+                if (!to) return;
+                break;
+            }
+        }
+
+        // Scrolling to an anchor neither leaves nor re-enters the route
+        if (from && from.route.leave && !to.anchor) {
+            from.route.leave(from, to);
+        }
+
+        if (history) {
+            this.writeHistory(history, to.path);
+        }
+
+        this.current = to;
+        this.render(to, from);
+
+        if (to.route.enter && !to.anchor) {
+            to.route.enter(to, from);
+        }
+
+        const type = history || (from ? 'traverse' : 'load');
+        this.afterHooks.forEach(hook => hook(to, from, { type }));
+    }
+
+    /**
+     * Push or replace a history entry
+     * Every entry carries a key so state such as the scroll position can
+     * be stored per entry; replacing keeps the current entry's key.
+     * @param {string} method - 'push' or 'replace'
+     * @param {string} path - Route path
+     */
+    writeHistory(method, path) {
+        const current = window.history.state || {};
+        const state = {
+            path,
+            key: method === 'push' || !current.key ? createHistoryKey() : current.key
+        };
+
+        if (method === 'push') {
+            window.history.pushState(state, '', this.toURL(path));
+        } else {
+            window.history.replaceState(state, '', this.toURL(path));
+        }
+    }
+
+    createNotFound(path) {
+        if (!this.notFoundRoute) return null;
+        return { route: this.notFoundRoute, params: {}, path: normalizePath(path), notFound: true };
+    }
+}
+
+/**
+ * Compile '/faq/:item?' into a regex and its parameter names
+ * @param {string} path - Route pattern
+ * @returns {Object} { regex, keys }
+ */
+function compilePath(path) {
+    const keys = [];
+    const pattern = normalizePath(path)
+        .split('/')
+        .filter(Boolean)
+        .map(segment => {
+            const param = /^:(\w+)(\?)?$/.exec(segment);
+            if (!param) {
+                return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+            }
+            keys.push(param[1]);
+            return param[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+        })
+        .join('');
+
+    return { regex: new RegExp(`^${pattern || '/'}/?$`), keys };
+}
+
+/**
+ * Random identifier for a history entry
+ * @returns {string}
+ */
+export function createHistoryKey() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+function normalizePath(path) {
+    const clean = `/${path}`.replace(/\/{2,}/g, '/');
+    return clean.length > 1 ? clean.replace(/\/$/, '') : clean;
+}
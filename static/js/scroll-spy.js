@@ -0,0 +1,85 @@
+/**
+ * Scroll Spy for Sigua.io
+ * Marks the link whose target section is currently being read
+ */
+
+export class ScrollSpy {
+    /**
+     * @param {Iterable<HTMLAnchorElement>} links - Links with `#id` hrefs
+     * @param {Object} options
+     * @param {string} options.activeClass - Class set on the active link
+     * @param {string} options.rootMargin - Band of the viewport that counts as "being read"
+     * @param {Function} options.onChange - Called with the active link
+     */
+    constructor(links, { activeClass, rootMargin = '-20% 0px -60% 0px', onChange = () => {} } = {}) {
+        this.activeClass = activeClass;
+        this.onChange = onChange;
+        this.active = null;
+        this.visible = new Set();
+        this.entries = [...links]
+            .map(link => ({ link, target: findTarget(link) }))
+            .filter(entry => entry.target);
+
+        if (this.entries.length === 0 || !('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver((records) => this.update(records), { rootMargin });
+        this.entries.forEach(({ target }) => this.observer.observe(target));
+    }
+
+    /**
+     * @param {Array<IntersectionObserverEntry>} records
+     */
+    update(records) {
+        records.forEach(record => {
+            if (record.isIntersecting) {
+                this.visible.add(record.target);
+            } else {
+                this.visible.delete(record.target);
+            }
+        });
+
+        // The first visible target in document order wins; with nothing in
+        // the band the last active link stays marked
+        const current = this.entries.find(({ target }) => this.visible.has(target));
+        if (current) {
+            this.setActive(current.link);
+        }
+    }
+
+    setActive(link) {
+        if (link === this.active) return;
+
+        if (this.active) {
+            this.active.classList.remove(this.activeClass);
+            this.active.removeAttribute('aria-current');
+        }
+
+        link.classList.add(this.activeClass);
+        link.setAttribute('aria-current', 'true');
+        this.active = link;
+        this.onChange(link);
+    }
+
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+    }
+}
+
+function findTarget(link) {
+    const hash = link.getAttribute('href') || '';
+    if (!hash.startsWith('#') || hash.length < 2) return null;
+
+    // Guide page ids are percent-encoded headings; try both forms
+    return document.getElementById(hash.substring(1)) ||
+        document.getElementById(safeDecode(hash.substring(1)));
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
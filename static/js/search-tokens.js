@@ -0,0 +1,52 @@
+/**
+ * Search tokenizer for Sigua.io
+ * Shared by the index builder (scripts/build-search-index.mjs) and the
+ * search overlay, so documents and queries are split the same way, and
+ * heading anchors are derived the same way on both sides.
+ * Han text has no word boundaries and is split into overlapping
+ * bigrams (丝瓜聊天 → 丝瓜, 瓜聊, 聊天); other scripts into lowercase words.
+ */
+
+const RUN = /\p{Script=Han}+|[\p{L}\p{N}]+/gu;
+const HAN = /^\p{Script=Han}/u;
+
+/**
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Tokens, in order, with repeats
+ */
+export function tokenize(text) {
+    const tokens = [];
+
+    for (const [run] of String(text).normalize('NFKC').toLowerCase().matchAll(RUN)) {
+        if (!HAN.test(run)) {
+            tokens.push(run);
+        } else if (run.length === 1) {
+            tokens.push(run);
+        } else {
+            for (let i = 0; i < run.length - 1; i++) {
+                tokens.push(run.slice(i, i + 2));
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Whether a token is Han text
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isHanToken(token) {
+    return HAN.test(token);
+}
+
+/**
+ * Anchor id the article markup gives a heading: its text with spaces as
+ * underscores, percent-encoded. The index only stores ids that differ.
+ * @param {string} text - Heading text
+ * @returns {string}
+ */
+export function headingId(text) {
+    return encodeURIComponent(text.replace(/ /g, '_'));
+}
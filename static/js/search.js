@@ -0,0 +1,700 @@
+/**
+ * Site Search for Sigua.io
+ * Search overlay over the guide articles and the FAQ. The index is a
+ * static file built by scripts/build-search-index.mjs and searched
+ * entirely in the browser; it is fetched the first time the overlay
+ * opens and nothing else goes over the network.
+ *
+ * Open it with any `[data-search-open]` button, `/` or Ctrl+K (⌘K).
+ * Queries in Traditional Chinese are matched against the Simplified text.
+ */
+
+import { tokenize, isHanToken, headingId } from './search-tokens.js';
+import { CHARACTERS, PHRASES } from './zh-convert-table.js';
+import { registerStyles } from './styles.js';
+import { i18n, t } from './i18n.js';
+
+/**
+ * Default search configuration
+ * Paths resolve against this module, so the overlay works from any page
+ * depth. Pages can override it through window.SIGUA_SEARCH_CONFIG.
+ */
+const SEARCH_CONFIG = {
+    index: new URL('../data/search-index.json', import.meta.url).href,
+    siteRoot: new URL('../../', import.meta.url).href,
+    maxResults: 10,
+    snippetLength: 80,
+    // Terms a one-character or partial query may expand to
+    maxExpansions: 50
+};
+
+const TO_SIMPLIFIED = buildReverseTable();
+
+function buildReverseTable() {
+    const table = new Map();
+    CHARACTERS.forEach((traditional, simplified) => table.set(traditional, simplified));
+    PHRASES.forEach((traditional, simplified) => {
+        [...traditional].forEach((char, i) => {
+            if (char !== simplified[i] && !table.has(char)) {
+                table.set(char, simplified[i]);
+            }
+        });
+    });
+    return table;
+}
+
+function toSimplified(text) {
+    return [...text].map(char => TO_SIMPLIFIED.get(char) || char).join('');
+}
+
+class SiteSearch {
+    constructor(config = window.SIGUA_SEARCH_CONFIG || {}) {
+        this.config = { ...SEARCH_CONFIG, ...config };
+        this.index = null;
+        this.loading = null;
+        this.results = [];
+        this.activeIndex = -1;
+        this.opener = null;
+        this.inertElements = [];
+        // [key, params] of the current status line, kept for locale changes
+        this.statusMessage = null;
+        this.init();
+    }
+
+    init() {
+        this.createOverlay();
+
+        document.querySelectorAll('[data-search-open]').forEach(button => {
+            button.setAttribute('aria-haspopup', 'dialog');
+            button.addEventListener('click', () => this.open());
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen()) return;
+            const shortcut = (e.key === 'k' || e.key === 'K') && (e.ctrlKey || e.metaKey);
+            if (shortcut || (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !isTyping(e.target))) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+
+        document.addEventListener('locale:change', () => {
+            this.translate();
+            if (this.index) this.render(this.input.value.trim());
+        });
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'search';
+        this.overlay.hidden = true;
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'search__backdrop';
+        backdrop.addEventListener('click', () => this.close());
+
+        const panel = document.createElement('div');
+        panel.className = 'search__panel';
+
+        const bar = document.createElement('div');
+        bar.className = 'search__bar';
+
+        this.input = document.createElement('input');
+        this.input.type = 'search';
+        this.input.className = 'search__input';
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', 'search-results');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.autocomplete = 'off';
+
+        this.closeButton = document.createElement('button');
+        this.closeButton.type = 'button';
+        this.closeButton.className = 'search__close';
+        this.closeButton.textContent = 'Esc';
+        this.closeButton.addEventListener('click', () => this.close());
+
+        bar.append(this.input, this.closeButton);
+
+        this.status = document.createElement('p');
+        this.status.className = 'search__status';
+        this.status.setAttribute('role', 'status');
+
+        this.list = document.createElement('ul');
+        this.list.className = 'search__results';
+        this.list.id = 'search-results';
+        this.list.setAttribute('role', 'listbox');
+
+        panel.append(bar, this.status, this.list);
+        this.overlay.append(backdrop, panel);
+        this.translate();
+        document.body.appendChild(this.overlay);
+
+        let timer = null;
+        this.input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.update(), 100);
+        });
+        this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e, this.closeButton));
+    }
+
+    translate() {
+        // Guide pages mark their own content zh-Hans; the dialog follows the locale
+        this.overlay.lang = i18n.locale;
+        this.overlay.setAttribute('aria-label', t('search.dialog'));
+        this.input.placeholder = t('search.label');
+        this.input.setAttribute('aria-label', t('search.label'));
+        this.closeButton.setAttribute('aria-label', t('search.close'));
+        this.list.setAttribute('aria-label', t('search.results'));
+        if (this.statusMessage) this.setStatus(...this.statusMessage);
+    }
+
+    /**
+     * @param {string|null} key - Message key, or null to clear the line
+     * @param {Object} params - Message parameters
+     */
+    setStatus(key, params = {}) {
+        this.statusMessage = key ? [key, params] : null;
+        this.status.textContent = key ? t(key, params) : '';
+    }
+
+    isOpen() {
+        return !this.overlay.hidden;
+    }
+
+    open() {
+        if (this.isOpen()) return;
+
+        this.opener = document.activeElement;
+        this.overlay.hidden = false;
+        document.body.classList.add('search-open');
+
+        // Everything behind the dialog is out of reach until it closes
+        this.inertElements = [...document.body.children].filter(el => el !== this.overlay && !el.inert);
+        this.inertElements.forEach(el => { el.inert = true; });
+
+        this.input.focus();
+        this.input.select();
+        this.load().then(() => this.update(), () => {});
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.overlay.hidden = true;
+        document.body.classList.remove('search-open');
+        this.inertElements.forEach(el => { el.inert = false; });
+        this.inertElements = [];
+
+        if (this.opener && this.opener.isConnected) {
+            this.opener.focus();
+        }
+    }
+
+    /**
+     * Fetch the index once; later calls share the same request
+     * @returns {Promise<Object>}
+     */
+    load() {
+        if (!this.loading) {
+            this.setStatus('search.loading');
+            this.loading = fetch(this.config.index)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(index => {
+                    this.index = {
+                        docs: index.docs.map(unpackDoc),
+                        terms: unpackTerms(index.terms),
+                        keys: Object.keys(index.terms)
+                    };
+                    return this.index;
+                })
+                .catch(error => {
+                    console.error('Search index failed to load:', error);
+                    this.setStatus('search.failed');
+                    // Let the next open try again
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+
+    update() {
+        if (!this.index) return;
+
+        const query = this.input.value.trim();
+        this.results = query ? this.search(query) : [];
+        this.render(query);
+    }
+
+    /**
+     * Rank documents for a query
+     * Documents containing every query term come first, then by score:
+     * the summed field weights of the matched terms, scaled by how rare
+     * each term is across the index.
+     * @param {string} query - Raw query text
+     * @returns {Array<Object>} [{ doc, score, needles }]
+     */
+    search(query) {
+        const normalized = toSimplified(query);
+        const tokens = [...new Set(tokenize(normalized))];
+        if (tokens.length === 0) return [];
+
+        const { docs, terms } = this.index;
+        const scores = new Map();
+
+        tokens.forEach((token, tokenIndex) => {
+            this.expand(token).forEach(term => {
+                const postings = terms[term];
+                const idf = Math.log(1 + docs.length / (postings.length / 2));
+
+                for (let i = 0; i < postings.length; i += 2) {
+                    const id = postings[i];
+                    if (!scores.has(id)) {
+                        scores.set(id, { score: 0, matched: new Set() });
+                    }
+                    const entry = scores.get(id);
+                    entry.score += postings[i + 1] * idf;
+                    entry.matched.add(tokenIndex);
+                }
+            });
+        });
+
+        const ranked = [...scores]
+            .map(([id, { score, matched }]) => ({ doc: docs[id], score, coverage: matched.size }))
+            .sort((a, b) => b.coverage - a.coverage || b.score - a.score);
+
+        const complete = ranked.filter(result => result.coverage === tokens.length);
+        const needles = getNeedles(normalized, tokens);
+
+        return (complete.length > 0 ? complete : ranked)
+            .slice(0, this.config.maxResults)
+            .map(result => ({ ...result, needles }));
+    }
+
+    /**
+     * Index terms a query token stands for
+     * Whole tokens match exactly; a single Han character matches every
+     * bigram containing it and a Latin word every term it starts.
+     * @param {string} token - Query token
+     * @returns {Array<string>}
+     */
+    expand(token) {
+        const { terms, keys } = this.index;
+        const exact = Object.prototype.hasOwnProperty.call(terms, token) ? [token] : [];
+        if (isHanToken(token) && token.length > 1) return exact;
+
+        const partial = isHanToken(token)
+            ? keys.filter(key => key !== token && key.includes(token))
+            : keys.filter(key => key !== token && key.startsWith(token));
+
+        return [...exact, ...partial.slice(0, this.config.maxExpansions)];
+    }
+
+    render(query) {
+        this.list.textContent = '';
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+
+        if (!query) {
+            this.setStatus(null);
+            return;
+        }
+
+        if (this.results.length) {
+            this.setStatus('search.found', { count: this.results.length });
+        } else {
+            this.setStatus('search.none');
+        }
+
+        this.results.forEach((result, index) => {
+            const { doc, needles } = result;
+            const heading = findHeading(doc, needles);
+
+            const item = document.createElement('li');
+            item.id = `search-result-${index}`;
+            item.className = 'search__result';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+
+            const link = document.createElement('a');
+            link.className = 'search__link';
+            link.tabIndex = -1;
+            link.href = new URL(heading && heading[1] ? `${doc.u.split('#')[0]}#${heading[1]}` : doc.u, this.config.siteRoot).href;
+            link.addEventListener('click', () => this.close());
+
+            const title = document.createElement('span');
+            title.className = 'search__title';
+            title.appendChild(highlight(doc.t, needles));
+
+            const meta = document.createElement('span');
+            meta.className = 'search__meta';
+            meta.textContent = [doc.u.includes('#faq/') ? t('search.faq') : doc.d, heading && heading[0]]
+                .filter(Boolean)
+                .join(' › ');
+
+            const snippet = document.createElement('span');
+            snippet.className = 'search__snippet';
+            snippet.appendChild(highlight(makeSnippet(doc.x, needles, this.config.snippetLength), needles));
+
+            link.append(title, meta, snippet);
+            item.appendChild(link);
+            item.addEventListener('mousemove', () => this.setActive(index));
+            this.list.appendChild(item);
+        });
+    }
+
+    setActive(index) {
+        const items = this.list.children;
+        if (items.length === 0) return;
+
+        if (this.activeIndex !== -1 && items[this.activeIndex]) {
+            items[this.activeIndex].setAttribute('aria-selected', 'false');
+        }
+
+        this.activeIndex = (index + items.length) % items.length;
+        const item = items[this.activeIndex];
+        item.setAttribute('aria-selected', 'true');
+        item.scrollIntoView({ block: 'nearest' });
+        this.input.setAttribute('aria-activedescendant', item.id);
+    }
+
+    handleKeydown(e, closeButton) {
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'ArrowDown':
+                e.preventDefault();
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.setActive(this.activeIndex === -1 ? -1 : this.activeIndex - 1);
+                break;
+            case 'Enter': {
+                const item = this.list.children[this.activeIndex === -1 ? 0 : this.activeIndex];
+                if (item && e.target === this.input) {
+                    e.preventDefault();
+                    item.querySelector('a').click();
+                }
+                break;
+            }
+            case 'Tab':
+                // Keep focus inside the dialog: input <-> close button
+                e.preventDefault();
+                (document.activeElement === this.input ? closeButton : this.input).focus();
+                break;
+        }
+    }
+}
+
+function isTyping(element) {
+    return element instanceof HTMLElement
+        && (element.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName));
+}
+
+/**
+ * Substrings to look for in the text: the query's own words, falling
+ * back to its tokens
+ * @param {string} query - Normalized query
+ * @param {Array<string>} tokens - Query tokens
+ * @returns {Array<string>} Longest first
+ */
+function getNeedles(query, tokens) {
+    const words = query.toLowerCase().split(/[\s\p{P}]+/u).filter(Boolean);
+    return [...new Set([...words, ...tokens])].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Document with every heading as [text, id]; the index stores derivable
+ * ids as the bare heading text
+ * @param {Object} doc - Indexed document
+ * @returns {Object}
+ */
+function unpackDoc(doc) {
+    return {
+        ...doc,
+        h: (doc.h || []).map(heading => (typeof heading === 'string' ? [heading, headingId(heading)] : heading))
+    };
+}
+
+/**
+ * Postings with absolute document indexes; the index stores the gaps
+ * @param {Object} terms - token -> [gap, weight, ...]
+ * @returns {Object} token -> [docIndex, weight, ...]
+ */
+function unpackTerms(terms) {
+    const unpacked = {};
+    Object.entries(terms).forEach(([token, postings]) => {
+        const absolute = postings.slice();
+        for (let i = 2; i < absolute.length; i += 2) {
+            absolute[i] += absolute[i - 2];
+        }
+        unpacked[token] = absolute;
+    });
+    return unpacked;
+}
+
+/**
+ * First heading mentioning the query, so the result can link to it
+ * @returns {Array|null} [text, id]
+ */
+function findHeading(doc, needles) {
+    if (!doc.h || doc.h.length === 0) return null;
+    for (const needle of needles) {
+        const heading = doc.h.find(([text]) => text.toLowerCase().includes(needle));
+        if (heading) return heading;
+    }
+    return null;
+}
+
+/**
+ * Part of the document excerpt around the first match of the longest
+ * needle; the index only keeps the opening of each body
+ * @returns {string}
+ */
+function makeSnippet(excerpt, needles, length) {
+    const lower = excerpt.toLowerCase();
+    let position = -1;
+    for (const needle of needles) {
+        position = lower.indexOf(needle);
+        if (position !== -1) break;
+    }
+
+    if (position === -1 || excerpt.length <= length) {
+        return excerpt.length > length ? `${excerpt.slice(0, length)}…` : excerpt;
+    }
+
+    const start = Math.max(0, Math.min(position - Math.floor(length / 4), excerpt.length - length));
+    return `${start > 0 ? '…' : ''}${excerpt.slice(start, start + length)}${start + length < excerpt.length ? '…' : ''}`;
+}
+
+/**
+ * Text with every needle occurrence wrapped in <mark>; overlapping
+ * matches merge into one mark
+ * @returns {DocumentFragment}
+ */
+function highlight(text, needles) {
+    const fragment = document.createDocumentFragment();
+    const lower = text.toLowerCase();
+    const marked = new Uint8Array(text.length);
+
+    if (lower.length === text.length) {
+        needles.forEach(needle => {
+            for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + 1)) {
+                marked.fill(1, i, i + needle.length);
+            }
+        });
+    }
+
+    let start = 0;
+    for (let i = 1; i <= text.length; i++) {
+        if (i === text.length || marked[i] !== marked[start]) {
+            const part = text.slice(start, i);
+            if (marked[start]) {
+                const mark = document.createElement('mark');
+                mark.className = 'search__highlight';
+                mark.textContent = part;
+                fragment.appendChild(mark);
+            } else {
+                fragment.appendChild(document.createTextNode(part));
+            }
+            start = i;
+        }
+    }
+
+    return fragment;
+}
+
+// Add search styles
+registerStyles('search', `
+    .search-toggle {
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        width: 40px;
+        height: 40px;
+        margin-left: auto;
+        background: none;
+        border: none;
+        border-radius: 50%;
+        color: inherit;
+        cursor: pointer;
+        transition: background-color 0.2s;
+    }
+
+    .search-toggle:hover {
+        background-color: var(--color-hover, rgba(255, 255, 255, 0.1));
+    }
+
+    .search-toggle:focus-visible {
+        outline: 2px solid #C92773;
+        outline-offset: 2px;
+    }
+
+    .search-toggle svg {
+        width: 20px;
+        height: 20px;
+    }
+
+    /* Desktop: the nav takes the free space so it sits next to the button */
+    @media (min-width: 768px) {
+        nav:has(+ .search-toggle) {
+            margin-left: auto;
+        }
+
+        .search-toggle {
+            margin-left: 0.5rem;
+        }
+    }
+
+    .search-open {
+        overflow: hidden;
+    }
+
+    .search {
+        position: fixed;
+        inset: 0;
+        z-index: 1100;
+        display: flex;
+        justify-content: center;
+        align-items: flex-start;
+        padding: 10vh 1rem 1rem;
+    }
+
+    .search[hidden] {
+        display: none;
+    }
+
+    .search__backdrop {
+        position: absolute;
+        inset: 0;
+        background: var(--color-overlay, rgba(0, 0, 0, 0.6));
+        backdrop-filter: blur(4px);
+    }
+
+    .search__panel {
+        position: relative;
+        width: 100%;
+        max-width: 640px;
+        max-height: 80vh;
+        display: flex;
+        flex-direction: column;
+        background: var(--color-surface, #22223B);
+        color: var(--color-text-primary, white);
+        border-radius: 0.75rem;
+        box-shadow: 0 20px 40px var(--color-shadow, rgba(0, 0, 0, 0.4));
+        overflow: hidden;
+    }
+
+    .search__bar {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 0.75rem 1rem;
+        border-bottom: 1px solid var(--color-border, rgba(255, 255, 255, 0.1));
+    }
+
+    .search__input {
+        flex: 1;
+        background: transparent;
+        border: none;
+        color: inherit;
+        font: inherit;
+        font-size: 1.125rem;
+        padding: 0.5rem 0;
+    }
+
+    .search__input:focus {
+        outline: none;
+    }
+
+    .search__close {
+        background: var(--color-hover, rgba(255, 255, 255, 0.1));
+        border: none;
+        border-radius: 0.25rem;
+        color: var(--color-text-secondary, #9ca3af);
+        font: inherit;
+        font-size: 0.75rem;
+        padding: 0.25rem 0.5rem;
+        cursor: pointer;
+    }
+
+    .search__close:focus-visible {
+        outline: 2px solid #C92773;
+    }
+
+    .search__status {
+        margin: 0;
+        padding: 0.5rem 1rem;
+        color: var(--color-text-secondary, #9ca3af);
+        font-size: 0.875rem;
+    }
+
+    .search__status:empty {
+        display: none;
+    }
+
+    .search__results {
+        list-style: none;
+        margin: 0;
+        padding: 0 0.5rem 0.5rem;
+        overflow-y: auto;
+    }
+
+    .search__link {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+        padding: 0.75rem;
+        border-radius: 0.5rem;
+        color: inherit;
+        text-decoration: none;
+    }
+
+    .search__result[aria-selected="true"] .search__link {
+        background: var(--color-hover, rgba(255, 255, 255, 0.1));
+        box-shadow: inset 3px 0 0 #C92773;
+    }
+
+    .search__title {
+        font-weight: 600;
+    }
+
+    .search__meta {
+        color: var(--color-text-secondary, #9ca3af);
+        font-size: 0.75rem;
+    }
+
+    .search__meta:empty {
+        display: none;
+    }
+
+    .search__snippet {
+        color: var(--color-text-secondary, #d1d5db);
+        font-size: 0.875rem;
+        line-height: 1.5;
+    }
+
+    .search__highlight {
+        background: var(--color-highlight, rgba(255, 89, 167, 0.35));
+        color: inherit;
+        border-radius: 2px;
+    }
+`);
+
+// Initialize search when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.Sigua = window.Sigua || {};
+    window.Sigua.search = new SiteSearch();
+});
+
+export { SiteSearch, SEARCH_CONFIG };
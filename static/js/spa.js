@@ -3,49 +3,80 @@
  * Handles page navigation and content switching
  */
 
+import { Router } from './router.js';
+import { FAQAccordion } from './faq.js';
+import { shell } from './app-shell.js';
+import { registerStyles } from './styles.js';
+
+/**
+ * Default router configuration
+ * Pages can override it through window.SIGUA_ROUTER_CONFIG.
+ */
+const ROUTER_CONFIG = {
+    mode: 'hash',
+    base: ''
+};
+
 class SPAManager {
-    constructor() {
-        this.currentSection = 'home';
-        this.sections = ['home', 'features', 'faq', 'download'];
+    constructor(config = window.SIGUA_ROUTER_CONFIG || {}) {
+        this.config = { ...ROUTER_CONFIG, ...config };
+        this.currentSection = null;
+        this.router = new Router({
+            mode: this.config.mode,
+            base: this.config.base,
+            render: (to) => this.renderRoute(to),
+            isAnchor: (path, current) => this.isAnchor(path, current)
+        });
         this.init();
     }
 
     init() {
-        this.bindEvents();
+        this.discoverRoutes();
+        // In-page links reach the router through the app shell
+        shell.attachRouter(this.router);
         this.setupFAQ();
         this.handleInitialRoute();
     }
 
-    bindEvents() {
-        // Navigation links
-        document.querySelectorAll('.nav__link[data-section]').forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const section = e.target.getAttribute('data-section');
-                this.navigateToSection(section);
+    /**
+     * Build the route table from the page
+     * Every `section[id]` gets `/<id>`; a `data-route` attribute replaces
+     * that pattern, e.g. `data-route="/faq/:item?"`. The section marked
+     * `data-route-not-found` is shown for unknown URLs.
+     */
+    discoverRoutes() {
+        document.querySelectorAll('section[id], [data-route]').forEach(section => {
+            if (!section.id || section.hasAttribute('data-route-not-found')) return;
+
+            this.router.add({
+                name: section.id,
+                path: section.dataset.route || `/${section.id}`,
+                section: section.id
             });
         });
 
-        // Handle browser back/forward
-        window.addEventListener('popstate', (e) => {
-            if (e.state && e.state.section) {
-                this.showSection(e.state.section, false);
-            }
-        });
+        const active = document.querySelector('.section--active[id]');
+        if (active) {
+            this.router.setDefault(active.id);
+        }
 
-        // Smooth scrolling for anchor links
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', (e) => {
-                const href = anchor.getAttribute('href');
-                if (href === '#') return;
-                
-                const targetId = href.substring(1);
-                if (this.sections.includes(targetId)) {
-                    e.preventDefault();
-                    this.navigateToSection(targetId);
-                }
-            });
-        });
+        const notFound = document.querySelector('[data-route-not-found]');
+        if (notFound) {
+            this.router.setNotFound({ name: 'not-found', section: notFound.id });
+        }
+    }
+
+    /**
+     * Whether a path names an element inside the shown section, such as a
+     * heading a plain `#id` link pointed to
+     * @param {string} path - Unmatched route path, e.g. '/download-steps'
+     * @param {Object} current - Current match
+     * @returns {boolean}
+     */
+    isAnchor(path, current) {
+        const section = document.getElementById(current.route.section);
+        const target = shell.findTarget(path.slice(1));
+        return Boolean(section && target && target !== section && section.contains(target));
     }
 
     /**
@@ -53,11 +84,19 @@ class SPAManager {
      * @param {string} section - Section ID
      */
     navigateToSection(section) {
-        if (this.sections.includes(section)) {
-            this.showSection(section);
-            this.updateURL(section);
-            this.updateActiveNav(section);
+        return this.router.navigate(`/${section}`);
+    }
+
+    /**
+     * Show the section of a matched route
+     * @param {Object} to - Matched route { route, params, path }
+     */
+    renderRoute(to) {
+        // Param changes within a section (e.g. #faq/login) keep it in place
+        if (to.route.section !== this.currentSection) {
+            this.showSection(to.route.section, this.currentSection !== null);
         }
+        this.updateActiveNav(to.route.section);
     }
 
     /**
@@ -93,16 +132,6 @@ class SPAManager {
         this.currentSection = section;
     }
 
-    /**
-     * Update URL without page reload
-     * @param {string} section - Section ID
-     */
-    updateURL(section) {
-        const url = new URL(window.location);
-        url.hash = `#${section}`;
-        window.history.pushState({ section }, '', url);
-    }
-
     /**
      * Update active navigation link
      * @param {string} section - Section ID
@@ -122,75 +151,29 @@ class SPAManager {
      * Handle initial route on page load
      */
     handleInitialRoute() {
-        const hash = window.location.hash.substring(1);
-        if (hash && this.sections.includes(hash)) {
-            this.showSection(hash, false);
-            this.updateActiveNav(hash);
-        } else {
-            this.updateActiveNav('home');
-        }
+        this.router.start();
     }
 
     /**
-     * Setup FAQ accordion functionality
+     * Setup the FAQ accordion; `#faq/<slug>` opens and scrolls to an item
      */
     setupFAQ() {
-        const faqItems = document.querySelectorAll('.faq-item');
-        
-        faqItems.forEach(item => {
-            const question = item.querySelector('.faq-item__question');
-            const answer = item.querySelector('.faq-item__answer');
-            
-            if (question && answer) {
-                question.addEventListener('click', () => {
-                    const isOpen = item.classList.contains('faq-item--open');
-                    
-                    // Close all other items
-                    faqItems.forEach(otherItem => {
-                        otherItem.classList.remove('faq-item--open');
-                        const otherAnswer = otherItem.querySelector('.faq-item__answer');
-                        if (otherAnswer) {
-                            otherAnswer.style.maxHeight = '0';
-                        }
-                    });
-                    
-                    // Toggle current item
-                    if (!isOpen) {
-                        item.classList.add('faq-item--open');
-                        answer.style.maxHeight = answer.scrollHeight + 'px';
-                    }
-                });
-            }
-        });
-    }
-
-    /**
-     * Add scroll animations
-     */
-    setupScrollAnimations() {
-        const observerOptions = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
+        const grid = document.querySelector('.faq__grid');
+        if (!grid) return;
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-in');
+        this.faq = new FAQAccordion(grid, { multiple: grid.hasAttribute('data-faq-multiple') });
+        this.router.extend('faq', {
+            enter: (to) => {
+                if (to.params.item) {
+                    this.faq.open(to.params.item, { scroll: true });
                 }
-            });
-        }, observerOptions);
-
-        // Observe elements for animation
-        document.querySelectorAll('.feature, .faq-item, .download-option').forEach(el => {
-            observer.observe(el);
+            }
         });
     }
 }
 
 // Add SPA styles
-const spaStyles = document.createElement('style');
-spaStyles.textContent = `
+registerStyles('spa', `
     /* Section Management */
     .section {
         display: none;
@@ -361,22 +344,6 @@ spaStyles.textContent = `
         margin: 0 auto;
     }
     
-    /* Animation Classes */
-    .animate-in {
-        animation: fadeInUp 0.6s ease-out forwards;
-    }
-    
-    @keyframes fadeInUp {
-        from {
-            opacity: 0;
-            transform: translateY(30px);
-        }
-        to {
-            opacity: 1;
-            transform: translateY(0);
-        }
-    }
-    
     /* Responsive Design */
     @media (max-width: 767px) {
         .faq__grid {
@@ -387,11 +354,12 @@ spaStyles.textContent = `
             grid-template-columns: 1fr;
         }
     }
-`;
-
-document.head.appendChild(spaStyles);
+`);
 
 // Initialize SPA manager when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    new SPAManager();
+    window.Sigua = window.Sigua || {};
+    window.Sigua.spa = new SPAManager();
 });
+
+export { SPAManager, ROUTER_CONFIG };
@@ -0,0 +1,118 @@
+/**
+ * Style registry for Sigua.io
+ * Components register their CSS here instead of appending <style>
+ * elements themselves. Each block is added once per id, in registration
+ * order, as a constructable stylesheet where the browser supports
+ * adoptedStyleSheets and as a <style data-style-id> element otherwise.
+ *
+ * Under a Content-Security-Policy without 'unsafe-inline', run
+ * scripts/build-styles.mjs and link the generated
+ * static/css/components.css with a data-style-registry attribute; the
+ * registry then only records blocks and adds nothing to the page.
+ */
+
+/**
+ * Default registry configuration
+ * Pages can override it through window.SIGUA_STYLES_CONFIG.
+ */
+const STYLES_CONFIG = {
+    // Stylesheet that already contains every registered block
+    extracted: 'link[rel="stylesheet"][data-style-registry]'
+};
+
+class StyleRegistry {
+    /**
+     * @param {Object} config - Registry configuration
+     */
+    constructor(config = window.SIGUA_STYLES_CONFIG || {}) {
+        this.config = { ...STYLES_CONFIG, ...config };
+        // id -> { css, node }
+        this.entries = new Map();
+        // Module scripts run after parsing, so the <head> is complete here
+        this.extracted = Boolean(this.config.extracted && document.querySelector(this.config.extracted));
+        this.constructable = 'adoptedStyleSheets' in document &&
+            typeof CSSStyleSheet === 'function' &&
+            'replaceSync' in CSSStyleSheet.prototype;
+    }
+
+    /**
+     * Add a block of CSS once
+     * @param {string} id - Unique block id, e.g. 'navigation'
+     * @param {string} css - Stylesheet text
+     * @returns {CSSStyleSheet|HTMLStyleElement|null} What was added; null when extracted
+     */
+    register(id, css) {
+        if (this.entries.has(id)) return this.entries.get(id).node;
+
+        const node = this.extracted ? null : this.insert(id, css);
+        this.entries.set(id, { css, node });
+        return node;
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} css
+     * @returns {CSSStyleSheet|HTMLStyleElement}
+     */
+    insert(id, css) {
+        if (this.constructable) {
+            try {
+                const sheet = new CSSStyleSheet();
+                sheet.replaceSync(css);
+                document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+                return sheet;
+            } catch (error) {
+                console.warn(`Style block "${id}" fell back to <style>:`, error);
+            }
+        }
+
+        const style = document.createElement('style');
+        style.dataset.styleId = id;
+        style.textContent = css;
+        document.head.appendChild(style);
+        return style;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    /**
+     * @returns {Array<string>} Registered ids in registration order
+     */
+    ids() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Every registered block as one stylesheet, for checking an extracted
+     * components.css against what a page actually registers
+     * @returns {string}
+     */
+    toCSS() {
+        return [...this.entries]
+            .map(([id, { css }]) => `/* ${id} */\n${css.trim()}\n`)
+            .join('\n');
+    }
+}
+
+const styleRegistry = new StyleRegistry();
+
+/**
+ * Add a component's CSS once; see StyleRegistry#register
+ * @param {string} id - Unique block id
+ * @param {string} css - Stylesheet text
+ * @returns {CSSStyleSheet|HTMLStyleElement|null}
+ */
+function registerStyles(id, css) {
+    return styleRegistry.register(id, css);
+}
+
+window.Sigua = window.Sigua || {};
+window.Sigua.styles = styleRegistry;
+
+export { StyleRegistry, STYLES_CONFIG, styleRegistry, registerStyles };
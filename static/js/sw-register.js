@@ -0,0 +1,40 @@
+/**
+ * Service worker registration for Sigua.io
+ * Registers /sw.js for the whole site once the page has loaded, so the
+ * precache does not compete with the first render.
+ */
+
+/**
+ * Default service worker configuration
+ * Pages can override it through window.SIGUA_SW_CONFIG.
+ */
+const SW_CONFIG = {
+    // Resolved against this module, so it works from any page depth
+    url: new URL('../../sw.js', import.meta.url).href,
+    enabled: true
+};
+
+/**
+ * @param {Object} config - Service worker configuration
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+async function registerServiceWorker(config) {
+    if (!config.enabled || !('serviceWorker' in navigator)) return null;
+
+    try {
+        return await navigator.serviceWorker.register(config.url);
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+const swConfig = { ...SW_CONFIG, ...window.SIGUA_SW_CONFIG };
+
+if (document.readyState === 'complete') {
+    registerServiceWorker(swConfig);
+} else {
+    window.addEventListener('load', () => registerServiceWorker(swConfig), { once: true });
+}
+
+export { registerServiceWorker, SW_CONFIG };
@@ -0,0 +1,204 @@
+/**
+ * Light/dark theme for Sigua.io
+ * The colours themselves are the token sets in static/css/theme.css,
+ * selected by data-theme on <html>. Each page's <head> sets that
+ * attribute before first paint; this module keeps it in sync with the
+ * header toggle, the system preference and other open tabs.
+ *
+ * Until the visitor picks a theme the page follows prefers-color-scheme.
+ * Changes are announced as a `theme:change` event on document.
+ */
+
+import { registerStyles } from './styles.js';
+
+/**
+ * Default theme configuration
+ * Pages can override it through window.SIGUA_THEME_CONFIG.
+ * storageKey must match the pre-paint snippet in the page <head>.
+ */
+const THEME_CONFIG = {
+    storageKey: 'sigua:theme',
+    toggle: '[data-theme-toggle]'
+};
+
+const THEMES = ['dark', 'light'];
+const LIGHT_QUERY = '(prefers-color-scheme: light)';
+
+class ThemeManager {
+    /**
+     * @param {Object} config - Theme configuration
+     */
+    constructor(config = window.SIGUA_THEME_CONFIG || {}) {
+        this.config = { ...THEME_CONFIG, ...config };
+        this.root = document.documentElement;
+        this.media = typeof window.matchMedia === 'function' ? window.matchMedia(LIGHT_QUERY) : null;
+        this.theme = null;
+        this.init();
+    }
+
+    init() {
+        this.apply(this.getPreference(), { persist: false });
+
+        // Follow the system until the visitor has chosen
+        if (this.media) {
+            this.media.addEventListener('change', () => {
+                if (!this.getStored()) this.apply(this.getSystem(), { persist: false });
+            });
+        }
+
+        // A choice made in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.config.storageKey) {
+                this.apply(this.getPreference(), { persist: false });
+            }
+        });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.bindToggles());
+        } else {
+            this.bindToggles();
+        }
+    }
+
+    bindToggles() {
+        document.querySelectorAll(this.config.toggle).forEach(button => {
+            button.addEventListener('click', () => this.toggle());
+        });
+        this.updateToggles();
+    }
+
+    /**
+     * Stored choice, or null when the visitor never picked one
+     * @returns {string|null}
+     */
+    getStored() {
+        try {
+            const stored = localStorage.getItem(this.config.storageKey);
+            if (THEMES.includes(stored)) return stored;
+        } catch (error) {
+            // Storage unavailable; treat as never chosen
+        }
+        return null;
+    }
+
+    /**
+     * @returns {string} 'light' when the system asks for it, otherwise 'dark'
+     */
+    getSystem() {
+        return this.media && this.media.matches ? 'light' : 'dark';
+    }
+
+    /**
+     * @returns {string} Stored choice first, then the system preference
+     */
+    getPreference() {
+        return this.getStored() || this.getSystem();
+    }
+
+    toggle() {
+        this.apply(this.theme === 'dark' ? 'light' : 'dark');
+    }
+
+    /**
+     * Forget the visitor's choice and follow the system again
+     */
+    clear() {
+        try {
+            localStorage.removeItem(this.config.storageKey);
+        } catch (error) {
+            // Nothing was stored
+        }
+        this.apply(this.getSystem(), { persist: false });
+    }
+
+    /**
+     * Switch the page to a theme
+     * @param {string} theme - 'dark' or 'light'
+     * @param {Object} options
+     * @param {boolean} options.persist - Remember the choice (default true)
+     */
+    apply(theme, { persist = true } = {}) {
+        if (!THEMES.includes(theme)) return;
+
+        if (persist) {
+            try {
+                localStorage.setItem(this.config.storageKey, theme);
+            } catch (error) {
+                // Private mode: the choice lasts for this page only
+            }
+        }
+
+        const changed = theme !== this.theme;
+        this.theme = theme;
+        this.root.dataset.theme = theme;
+        this.updateThemeColor();
+        this.updateToggles();
+
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('theme:change', { detail: { theme } }));
+        }
+    }
+
+    /**
+     * Browser chrome follows the page background token
+     */
+    updateThemeColor() {
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (!meta) return;
+
+        const background = getComputedStyle(this.root).getPropertyValue('--color-background').trim();
+        if (background) meta.setAttribute('content', background);
+    }
+
+    updateToggles() {
+        document.querySelectorAll(this.config.toggle).forEach(button => {
+            // The button is labelled "dark mode", so pressed means dark
+            button.setAttribute('aria-pressed', String(this.theme === 'dark'));
+        });
+    }
+}
+
+// Add theme toggle styles
+registerStyles('theme', `
+    .theme-toggle {
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        width: 40px;
+        height: 40px;
+        margin-left: 0.25rem;
+        background: none;
+        border: none;
+        border-radius: 50%;
+        color: inherit;
+        cursor: pointer;
+        transition: background-color 0.2s;
+    }
+
+    .theme-toggle:hover {
+        background-color: var(--color-hover, rgba(255, 255, 255, 0.1));
+    }
+
+    .theme-toggle:focus-visible {
+        outline: 2px solid var(--color-accent-pink, #C92773);
+        outline-offset: 2px;
+    }
+
+    .theme-toggle svg {
+        width: 20px;
+        height: 20px;
+    }
+
+    .theme-toggle[aria-pressed="true"] .theme-toggle__sun,
+    .theme-toggle[aria-pressed="false"] .theme-toggle__moon {
+        display: none;
+    }
+`);
+
+// Apply at once so the toggle and theme-color are right before first use
+const themeManager = new ThemeManager();
+
+window.Sigua = window.Sigua || {};
+window.Sigua.theme = themeManager;
+
+export { ThemeManager, THEME_CONFIG, THEMES };
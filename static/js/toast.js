@@ -0,0 +1,370 @@
+/**
+ * Toast Notifications for Sigua.io
+ * Shared notification stack for every module on the site. Messages are
+ * rendered as text only, so server-provided strings are safe to show.
+ *
+ * Usage:
+ *   toast.error('下载失败', { actions: [{ label: '重试', onClick: retry }] });
+ *   toast.success('下载已开始');
+ */
+
+import { t } from './i18n.js';
+import { registerStyles } from './styles.js';
+
+/**
+ * Default toast configuration
+ * Pages can override it through window.SIGUA_TOAST_CONFIG.
+ */
+const TOAST_CONFIG = {
+    maxVisible: 3,
+    durations: {
+        info: 5000,
+        success: 4000,
+        warning: 7000,
+        error: 8000
+    }
+};
+
+const TOAST_TYPES = ['info', 'success', 'warning', 'error'];
+
+class ToastManager {
+    constructor(config = window.SIGUA_TOAST_CONFIG || {}) {
+        this.config = {
+            ...TOAST_CONFIG,
+            ...config,
+            durations: { ...TOAST_CONFIG.durations, ...config.durations }
+        };
+        this.visible = [];
+        this.queue = [];
+        this.region = null;
+
+        document.addEventListener('locale:change', () => {
+            if (this.region) {
+                this.region.setAttribute('aria-label', t('toast.region'));
+            }
+        });
+    }
+
+    /**
+     * Show a toast, or queue it when the stack is full
+     * A toast with the same type and message as one already shown or
+     * queued is not repeated; the shown one gets a counter and a fresh timer.
+     * @param {string} message - Plain text message
+     * @param {Object} options
+     * @param {string} options.type - 'info', 'success', 'warning' or 'error'
+     * @param {number} options.duration - ms before dismissing; 0 keeps it open
+     * @param {Array<Object>} options.actions - [{ label, onClick }]
+     * @param {string} options.id - Dedupe key, defaults to type plus message
+     * @returns {Object} Toast handle with dismiss()
+     */
+    show(message, { type = 'info', duration, actions = [], id } = {}) {
+        const toastType = TOAST_TYPES.includes(type) ? type : 'info';
+        const key = id || `${toastType}:${message}`;
+
+        const existing = this.visible.find(t => t.key === key) || this.queue.find(t => t.key === key);
+        if (existing) {
+            if (existing.element) {
+                existing.count++;
+                existing.counter.textContent = `×${existing.count}`;
+                existing.counter.hidden = false;
+                this.startTimer(existing, existing.duration);
+            }
+            return existing.handle;
+        }
+
+        const toast = {
+            key,
+            message: String(message),
+            type: toastType,
+            duration: duration !== undefined ? duration : this.config.durations[toastType],
+            actions,
+            count: 1,
+            element: null,
+            timer: null,
+            remaining: 0,
+            startedAt: 0
+        };
+        toast.handle = { dismiss: () => this.dismiss(toast) };
+
+        if (this.visible.length < this.config.maxVisible) {
+            this.render(toast);
+        } else {
+            this.queue.push(toast);
+        }
+        return toast.handle;
+    }
+
+    info(message, options = {}) {
+        return this.show(message, { ...options, type: 'info' });
+    }
+
+    success(message, options = {}) {
+        return this.show(message, { ...options, type: 'success' });
+    }
+
+    warning(message, options = {}) {
+        return this.show(message, { ...options, type: 'warning' });
+    }
+
+    error(message, options = {}) {
+        return this.show(message, { ...options, type: 'error' });
+    }
+
+    /**
+     * Container for the stack, created on first use
+     * @returns {HTMLElement}
+     */
+    getRegion() {
+        if (!this.region) {
+            this.region = document.createElement('div');
+            this.region.className = 'toast-region';
+            this.region.setAttribute('role', 'region');
+            this.region.setAttribute('aria-label', t('toast.region'));
+            document.body.appendChild(this.region);
+        }
+        return this.region;
+    }
+
+    render(toast) {
+        const element = document.createElement('div');
+        element.className = `toast toast--${toast.type}`;
+        // Errors and warnings interrupt; everything else waits its turn
+        const urgent = toast.type === 'error' || toast.type === 'warning';
+        element.setAttribute('role', urgent ? 'alert' : 'status');
+        element.setAttribute('aria-live', urgent ? 'assertive' : 'polite');
+        element.setAttribute('aria-atomic', 'true');
+
+        const message = document.createElement('span');
+        message.className = 'toast__message';
+        message.textContent = toast.message;
+
+        toast.counter = document.createElement('span');
+        toast.counter.className = 'toast__count';
+        toast.counter.hidden = true;
+
+        element.append(message, toast.counter);
+
+        if (toast.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'toast__actions';
+            toast.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'toast__action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    this.dismiss(toast);
+                    action.onClick();
+                });
+                actions.appendChild(button);
+            });
+            element.appendChild(actions);
+        }
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast__close';
+        close.setAttribute('aria-label', t('toast.close'));
+        close.textContent = '×';
+        close.addEventListener('click', () => this.dismiss(toast));
+        element.appendChild(close);
+
+        // Hovering or focusing a toast keeps it open
+        element.addEventListener('mouseenter', () => this.pauseTimer(toast));
+        element.addEventListener('mouseleave', () => this.resumeTimer(toast));
+        element.addEventListener('focusin', () => this.pauseTimer(toast));
+        element.addEventListener('focusout', () => this.resumeTimer(toast));
+
+        toast.element = element;
+        this.visible.push(toast);
+        this.getRegion().appendChild(element);
+        this.startTimer(toast, toast.duration);
+    }
+
+    startTimer(toast, duration) {
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = duration;
+        if (!duration) return;
+
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => this.dismiss(toast), duration);
+    }
+
+    pauseTimer(toast) {
+        if (!toast.timer) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining -= Date.now() - toast.startedAt;
+    }
+
+    resumeTimer(toast) {
+        if (toast.timer || !toast.remaining || !toast.element) return;
+        if (toast.element.matches(':hover') || toast.element.contains(document.activeElement)) return;
+        this.startTimer(toast, Math.max(toast.remaining, 1000));
+    }
+
+    /**
+     * Remove a toast and show the next queued one
+     * @param {Object} toast - Toast record
+     */
+    dismiss(toast) {
+        const queued = this.queue.indexOf(toast);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return;
+        }
+
+        const index = this.visible.indexOf(toast);
+        if (index === -1) return;
+
+        clearTimeout(toast.timer);
+        this.visible.splice(index, 1);
+
+        const element = toast.element;
+        toast.element = null;
+        element.classList.add('toast--leaving');
+        setTimeout(() => element.remove(), 300);
+
+        if (this.queue.length > 0) {
+            this.render(this.queue.shift());
+        }
+    }
+}
+
+// Add toast styles
+registerStyles('toast', `
+    .toast-region {
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        z-index: 1000;
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+        max-width: min(360px, calc(100vw - 40px));
+        pointer-events: none;
+    }
+
+    .toast {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0.5rem;
+        padding: 1rem;
+        border-radius: 0.5rem;
+        background: #3b82f6;
+        color: white;
+        box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1);
+        pointer-events: auto;
+        animation: toastIn 0.3s ease-out;
+    }
+
+    .toast--success {
+        background: #10b981;
+    }
+
+    .toast--warning {
+        background: #d97706;
+    }
+
+    .toast--error {
+        background: #ef4444;
+    }
+
+    .toast--leaving {
+        animation: toastOut 0.3s ease-in forwards;
+    }
+
+    .toast__message {
+        flex: 1;
+        word-break: break-word;
+    }
+
+    .toast__count {
+        font-size: 0.75rem;
+        opacity: 0.8;
+    }
+
+    .toast__actions {
+        display: flex;
+        gap: 0.5rem;
+    }
+
+    .toast__action {
+        background: rgba(255, 255, 255, 0.2);
+        border: 1px solid rgba(255, 255, 255, 0.6);
+        border-radius: 0.25rem;
+        color: white;
+        font: inherit;
+        font-size: 0.875rem;
+        padding: 0.25rem 0.75rem;
+        cursor: pointer;
+    }
+
+    .toast__action:hover {
+        background: rgba(255, 255, 255, 0.3);
+    }
+
+    .toast__close {
+        background: none;
+        border: none;
+        color: white;
+        font-size: 1.25rem;
+        cursor: pointer;
+        padding: 0;
+        width: 20px;
+        height: 20px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border-radius: 50%;
+        transition: background-color 0.2s;
+    }
+
+    .toast__close:hover {
+        background-color: rgba(255, 255, 255, 0.2);
+    }
+
+    .toast__action:focus-visible,
+    .toast__close:focus-visible {
+        outline: 2px solid white;
+        outline-offset: 2px;
+    }
+
+    @keyframes toastIn {
+        from {
+            transform: translateX(100%);
+            opacity: 0;
+        }
+        to {
+            transform: translateX(0);
+            opacity: 1;
+        }
+    }
+
+    @keyframes toastOut {
+        from {
+            transform: translateX(0);
+            opacity: 1;
+        }
+        to {
+            transform: translateX(100%);
+            opacity: 0;
+        }
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+        .toast,
+        .toast--leaving {
+            animation: none;
+        }
+    }
+`);
+
+const toast = new ToastManager();
+
+window.Sigua = window.Sigua || {};
+window.Sigua.toast = toast;
+
+export { ToastManager, TOAST_CONFIG, toast };
@@ -0,0 +1,149 @@
+/**
+ * Simplified to Traditional Chinese mapping for zh-convert.js
+ * CHARACTERS pairs each Simplified character with its usual Traditional
+ * form, position by position. PHRASES take precedence where a character
+ * has several Traditional forms (发 → 發/髮) or is kept as is in some
+ * words (准许, 划算). 干 and 台 have no usual form (干扰, 干净 → 乾淨,
+ * 干活 → 幹活; 台湾, 台风 → 颱風, 柜台 → 櫃檯), so they are left alone
+ * outside the phrases listed here.
+ */
+
+const SIMPLIFIED = [
+    '丝户设录过码时号会账进确应备证隐选后验动机个据发数载与记对为内册并择网员复无这点',
+    '护击开问页装间输联于权统费邮电关项务将启么认体题话删吗请导来访还强储适单传够议资',
+    '获泄拟络钮实别术语态处当仅见风标样种该换险显规从频许类云国线脑检讯采骤扰经头恶响',
+    '软广绑现创盗图状链长视帮违区优误临双组较简连详监稳试运馈减准论则称让识决写荐给没',
+    '级况沟环场严虽审细维骚丢阅随异畅续谁轻尽调闭尝范团队签虚额败扫墙带着结协围错读杂',
+    '兴购昵们义顺订两节诈骗专断业础价报礼参条弹缓门计诉独窃质绍锁测滥转买评触钥说达办',
+    '几须继销历滤览举赖洁执币属拦钱浏势苹灵潜盘难陆层绕迟满辑闪里绝宝编旧终责钟暂毁罚',
+    '产键讨预极胁缝构盖荚担积档栏习众拥摄赠扩变跃钓鱼顿惯划踪际释占针货银损坏迹彻伪丰',
+    '赞觉纯径负虑遗听迁归华遥游槛贴溃词营爱愿谨烦离总观顶纹书询声秽寻净争马誉肤侧励筛',
+    '诺递静冲乐热画颜欢夹乱约腾压倾忆戏杀琐兑汇诱亲补毕帐碍远晓谢译讼绪麦绿横卖师余厉',
+    '紧辅骂财宽铃携诚缀却竞娱竖挂钩飘块涛挡职猫践边库综战窥逊筹学谐训伤颁张怀龄垒宠坚',
+    '驱领东亚纳闻贡献肃诽谤谣惩赔偿滞恼岁劳逻鲜冻凭纠饰尔咨镜滚厂残仪悦恳摆脱拨赋车飞',
+    '龙鸟贵伞伟佣侦侨俭债儿党兰养军农凉凤凯刘刚剧劝勋医卢卫厅厌县叙叶叹吓吕呜唤啸喷嘱',
+    '园圆圣坛垫壮壳夸夺奋奖妇妈婴孙宁宪宫宾寿尘届岂岗岛岭帜庄庆庙废弃弯怜恋惊惧愤扬抚',
+    '抢挤挥掷揽摇摊撑敌斋旷昼晋晒晕杨枪柜栋树桥梦楼欧气汉汤泪泽浅济浓涨润渐温湾湿灭灯',
+    '灾炉炼烛烟焕爷牵犹狱狮猎疗皱盐矿砖祸穷笔笼筑粮纪纲纵纸练织绘绩缘缩罗聪肠胜脏脚艺',
+    '药荣萝蓝蚁袜讲诗课谈谋谜贯贸赏赛赢赶趋轮辆辈邻郑酱钢铁锅闲闹阳阴阵陈雾顾饭饮饱饿',
+    '馆驶驾鸡'
+].join('');
+
+const TRADITIONAL = [
+    '絲戶設錄過碼時號會帳進確應備證隱選後驗動機個據發數載與記對為內冊並擇網員復無這點',
+    '護擊開問頁裝間輸聯於權統費郵電關項務將啟麼認體題話刪嗎請導來訪還強儲適單傳夠議資',
+    '獲洩擬絡鈕實別術語態處當僅見風標樣種該換險顯規從頻許類雲國線腦檢訊採驟擾經頭惡響',
+    '軟廣綁現創盜圖狀鏈長視幫違區優誤臨雙組較簡連詳監穩試運饋減準論則稱讓識決寫薦給沒',
+    '級況溝環場嚴雖審細維騷丟閱隨異暢續誰輕盡調閉嘗範團隊簽虛額敗掃牆帶著結協圍錯讀雜',
+    '興購暱們義順訂兩節詐騙專斷業礎價報禮參條彈緩門計訴獨竊質紹鎖測濫轉買評觸鑰說達辦',
+    '幾須繼銷歷濾覽舉賴潔執幣屬攔錢瀏勢蘋靈潛盤難陸層繞遲滿輯閃裡絕寶編舊終責鐘暫毀罰',
+    '產鍵討預極脅縫構蓋莢擔積檔欄習眾擁攝贈擴變躍釣魚頓慣劃蹤際釋佔針貨銀損壞跡徹偽豐',
+    '贊覺純徑負慮遺聽遷歸華遙遊檻貼潰詞營愛願謹煩離總觀頂紋書詢聲穢尋淨爭馬譽膚側勵篩',
+    '諾遞靜衝樂熱畫顏歡夾亂約騰壓傾憶戲殺瑣兌匯誘親補畢帳礙遠曉謝譯訟緒麥綠橫賣師餘厲',
+    '緊輔罵財寬鈴攜誠綴卻競娛豎掛鉤飄塊濤擋職貓踐邊庫綜戰窺遜籌學諧訓傷頒張懷齡壘寵堅',
+    '驅領東亞納聞貢獻肅誹謗謠懲賠償滯惱歲勞邏鮮凍憑糾飾爾諮鏡滾廠殘儀悅懇擺脫撥賦車飛',
+    '龍鳥貴傘偉傭偵僑儉債兒黨蘭養軍農涼鳳凱劉剛劇勸勳醫盧衛廳厭縣敘葉嘆嚇呂嗚喚嘯噴囑',
+    '園圓聖壇墊壯殼誇奪奮獎婦媽嬰孫寧憲宮賓壽塵屆豈崗島嶺幟莊慶廟廢棄彎憐戀驚懼憤揚撫',
+    '搶擠揮擲攬搖攤撐敵齋曠晝晉曬暈楊槍櫃棟樹橋夢樓歐氣漢湯淚澤淺濟濃漲潤漸溫灣濕滅燈',
+    '災爐煉燭煙煥爺牽猶獄獅獵療皺鹽礦磚禍窮筆籠築糧紀綱縱紙練織繪績緣縮羅聰腸勝髒腳藝',
+    '藥榮蘿藍蟻襪講詩課談謀謎貫貿賞賽贏趕趨輪輛輩鄰鄭醬鋼鐵鍋閒鬧陽陰陣陳霧顧飯飲飽餓',
+    '館駛駕雞'
+].join('');
+
+export const CHARACTERS = new Map([...SIMPLIFIED].map((char, i) => [char, TRADITIONAL[i]]));
+
+export const PHRASES = new Map([
+    ['头发', '頭髮'],
+    ['理发', '理髮'],
+    ['复制', '複製'],
+    ['重复', '重複'],
+    ['复杂', '複雜'],
+    ['复合', '複合'],
+    ['复印', '複印'],
+    ['繁复', '繁複'],
+    ['回复', '回覆'],
+    ['答复', '答覆'],
+    ['制作', '製作'],
+    ['制造', '製造'],
+    ['制品', '製品'],
+    ['定制', '訂製'],
+    ['注册', '註冊'],
+    ['批准', '批准'],
+    ['准许', '准許'],
+    ['不准', '不准'],
+    ['准予', '准予'],
+    ['风采', '風采'],
+    ['神采', '神采'],
+    ['文采', '文采'],
+    ['干净', '乾淨'],
+    ['干燥', '乾燥'],
+    ['饼干', '餅乾'],
+    ['干什么', '幹什麼'],
+    ['干嘛', '幹嘛'],
+    ['干部', '幹部'],
+    ['干活', '幹活'],
+    ['能干', '能幹'],
+    ['干脆', '乾脆'],
+    ['干杯', '乾杯'],
+    ['晒干', '曬乾'],
+    ['干扰', '干擾'],
+    ['干预', '干預'],
+    ['干涉', '干涉'],
+    ['若干', '若干'],
+    ['台风', '颱風'],
+    ['柜台', '櫃檯'],
+    ['吧台', '吧檯'],
+    ['台灯', '檯燈'],
+    ['尽管', '儘管'],
+    ['尽快', '儘快'],
+    ['尽早', '儘早'],
+    ['茶几', '茶几'],
+    ['胡须', '鬍鬚'],
+    ['日历', '日曆'],
+    ['农历', '農曆'],
+    ['历法', '曆法'],
+    ['老板', '老闆'],
+    ['轻松', '輕鬆'],
+    ['放松', '放鬆'],
+    ['松开', '鬆開'],
+    ['宽松', '寬鬆'],
+    ['划算', '划算'],
+    ['划船', '划船'],
+    ['占卜', '占卜'],
+    ['冲泡', '沖泡'],
+    ['冲洗', '沖洗'],
+    ['标志', '標誌'],
+    ['杂志', '雜誌'],
+    ['游泳', '游泳'],
+    ['上游', '上游'],
+    ['下游', '下游'],
+    ['词汇', '詞彙'],
+    ['汇总', '彙總'],
+    ['防御', '防禦'],
+    ['抵御', '抵禦'],
+    ['卷入', '捲入'],
+    ['席卷', '席捲'],
+    ['委托', '委託'],
+    ['托管', '託管'],
+    ['依托', '依託'],
+    ['寄托', '寄託'],
+    ['伙伴', '夥伴'],
+    ['合伙', '合夥'],
+    ['点赞', '點讚'],
+    ['称赞', '稱讚'],
+    ['赞美', '讚美'],
+    ['周末', '週末'],
+    ['周年', '週年'],
+    ['关系', '關係'],
+    ['联系', '聯繫'],
+    ['维系', '維繫'],
+    ['手表', '手錶'],
+    ['特征', '特徵'],
+    ['象征', '象徵'],
+    ['征求', '徵求'],
+    ['征集', '徵集'],
+    ['公里', '公里'],
+    ['里程', '里程'],
+    ['邻里', '鄰里'],
+    ['皇后', '皇后']
+]);
@@ -0,0 +1,281 @@
+/**
+ * Simplified/Traditional Chinese switch for Sigua.io guide pages
+ * Converts the article text between 简体 and 繁體 in place, without a
+ * reload. Articles are written in Simplified Chinese; switching back
+ * restores the original text rather than converting it again, so
+ * nothing is lost in the round trip. Code, URLs and brand names are
+ * left as written.
+ */
+
+import { CHARACTERS, PHRASES } from './zh-convert-table.js';
+import { registerStyles } from './styles.js';
+
+/**
+ * Default conversion configuration
+ * Pages can override it through window.SIGUA_ZH_CONVERT_CONFIG.
+ */
+const ZH_CONVERT_CONFIG = {
+    article: 'article',
+    storageKey: 'sigua:script',
+    // Registered names, kept in their Simplified form
+    brands: ['丝瓜聊天', '丝瓜', '豌豆荚'],
+    skip: 'code, pre, kbd, samp, script, style, textarea, [translate="no"], .notranslate'
+};
+
+const URL_SOURCE = '(?:https?:\\/\\/|www\\.)[^\\s<>"\'，。；！？）]+';
+const HAN = /[㐀-鿿]/;
+const TRADITIONAL_LANGUAGE = /^zh-(tw|hk|mo|hant)/i;
+
+/**
+ * Simplified to Traditional text converter
+ * Longest phrase match wins, then single characters.
+ */
+class ScriptConverter {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.brands - Names never converted
+     * @param {Map} options.characters - Character mapping
+     * @param {Map} options.phrases - Phrase mapping
+     */
+    constructor({ brands = [], characters = CHARACTERS, phrases = PHRASES } = {}) {
+        this.characters = characters;
+        this.phrases = phrases;
+        this.maxPhrase = Math.max(0, ...[...phrases.keys()].map(phrase => phrase.length));
+
+        const protectedParts = [URL_SOURCE, ...brands
+            .slice()
+            .sort((a, b) => b.length - a.length)
+            .map(brand => brand.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))];
+        this.protectedPattern = new RegExp(`(${protectedParts.join('|')})`);
+    }
+
+    /**
+     * @param {string} text - Simplified Chinese text
+     * @returns {string} Traditional Chinese text
+     */
+    toTraditional(text) {
+        // split() with a capture group puts protected parts at odd indexes
+        return text
+            .split(this.protectedPattern)
+            .map((part, index) => (index % 2 === 1 ? part : this.convertSegment(part)))
+            .join('');
+    }
+
+    convertSegment(text) {
+        let result = '';
+        let i = 0;
+
+        while (i < text.length) {
+            let matched = false;
+
+            for (let length = Math.min(this.maxPhrase, text.length - i); length > 1; length--) {
+                const phrase = this.phrases.get(text.slice(i, i + length));
+                if (phrase) {
+                    result += phrase;
+                    i += length;
+                    matched = true;
+                    break;
+                }
+            }
+
+            if (!matched) {
+                const char = text[i];
+                result += this.characters.get(char) || char;
+                i++;
+            }
+        }
+
+        return result;
+    }
+}
+
+class ArticleScript {
+    /**
+     * @param {HTMLElement} article - Article to convert
+     * @param {Object} config - Conversion configuration
+     */
+    constructor(article, config) {
+        this.article = article;
+        this.config = config;
+        this.converter = new ScriptConverter({ brands: config.brands });
+        // Text node -> { original, converted }
+        this.originals = new Map();
+        this.originalLang = article.getAttribute('lang');
+        this.script = 'hans';
+        this.init();
+    }
+
+    init() {
+        this.createSwitch();
+
+        if (this.getPreference() === 'hant') {
+            this.apply('hant', { persist: false });
+        }
+    }
+
+    createSwitch() {
+        this.switchGroup = document.createElement('div');
+        this.switchGroup.className = 'script-switch';
+        this.switchGroup.setAttribute('role', 'group');
+        this.switchGroup.setAttribute('aria-label', '简繁切换');
+        this.switchGroup.setAttribute('translate', 'no');
+
+        this.buttons = {};
+        [['hans', '简体', 'zh-Hans'], ['hant', '繁體', 'zh-Hant']].forEach(([script, label, lang]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'script-switch__button';
+            button.lang = lang;
+            button.textContent = label;
+            button.setAttribute('aria-pressed', String(script === this.script));
+            button.addEventListener('click', () => this.apply(script));
+            this.buttons[script] = button;
+            this.switchGroup.appendChild(button);
+        });
+
+        const title = this.article.querySelector('h1');
+        if (title) {
+            title.insertAdjacentElement('afterend', this.switchGroup);
+        } else {
+            this.article.prepend(this.switchGroup);
+        }
+    }
+
+    /**
+     * Stored choice first, then whether the browser prefers Traditional
+     * @returns {string} 'hans' or 'hant'
+     */
+    getPreference() {
+        try {
+            const stored = localStorage.getItem(this.config.storageKey);
+            if (stored === 'hans' || stored === 'hant') return stored;
+        } catch (error) {
+            // Storage unavailable; fall through to the browser languages
+        }
+
+        const languages = navigator.languages || [navigator.language];
+        const chinese = languages.find(language => /^zh\b/i.test(language || ''));
+        return chinese && TRADITIONAL_LANGUAGE.test(chinese) ? 'hant' : 'hans';
+    }
+
+    /**
+     * Switch the article to a script
+     * @param {string} script - 'hans' or 'hant'
+     * @param {Object} options
+     * @param {boolean} options.persist - Remember the choice (default true)
+     */
+    apply(script, { persist = true } = {}) {
+        if (persist) {
+            try {
+                localStorage.setItem(this.config.storageKey, script);
+            } catch (error) {
+                // Private mode: the choice lasts for this page only
+            }
+        }
+
+        if (script === this.script) return;
+        this.script = script;
+
+        if (script === 'hant') {
+            this.convert();
+            this.article.setAttribute('lang', 'zh-Hant');
+        } else {
+            this.restore();
+            if (this.originalLang) {
+                this.article.setAttribute('lang', this.originalLang);
+            } else {
+                this.article.removeAttribute('lang');
+            }
+        }
+
+        Object.entries(this.buttons).forEach(([key, button]) => {
+            button.setAttribute('aria-pressed', String(key === script));
+        });
+    }
+
+    convert() {
+        this.getTextNodes().forEach(node => {
+            const original = node.data;
+            const converted = this.converter.toTraditional(original);
+            if (converted !== original) {
+                node.data = converted;
+                this.originals.set(node, { original, converted });
+            }
+        });
+    }
+
+    restore() {
+        this.originals.forEach(({ original, converted }, node) => {
+            // Text another script changed since is left alone
+            if (node.isConnected && node.data === converted) {
+                node.data = original;
+            }
+        });
+        this.originals.clear();
+    }
+
+    /**
+     * Text nodes with Han characters outside skipped elements
+     * @returns {Array<Text>}
+     */
+    getTextNodes() {
+        const nodes = [];
+        const walker = document.createTreeWalker(this.article, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+                if (!HAN.test(node.data)) return NodeFilter.FILTER_SKIP;
+                return node.parentElement.closest(this.config.skip)
+                    ? NodeFilter.FILTER_REJECT
+                    : NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+        return nodes;
+    }
+}
+
+// Add script switch styles
+registerStyles('zh-convert', `
+    .script-switch {
+        display: inline-flex;
+        margin-bottom: 1rem;
+        border: 1px solid var(--color-border);
+        border-radius: 9999px;
+        overflow: hidden;
+    }
+
+    .script-switch__button {
+        background: none;
+        border: none;
+        color: var(--color-text-secondary);
+        font: inherit;
+        font-size: 0.875rem;
+        padding: 0.25rem 0.875rem;
+        cursor: pointer;
+        transition: background-color 0.2s, color 0.2s;
+    }
+
+    .script-switch__button[aria-pressed="true"] {
+        background: var(--gradient-primary);
+        color: var(--color-on-accent);
+    }
+
+    .script-switch__button:focus-visible {
+        outline: 2px solid var(--color-accent-pink);
+        outline-offset: -2px;
+    }
+`);
+
+// Initialize the script switch when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    const config = { ...ZH_CONVERT_CONFIG, ...window.SIGUA_ZH_CONVERT_CONFIG };
+    const article = document.querySelector(config.article);
+    if (!article) return;
+
+    window.Sigua = window.Sigua || {};
+    window.Sigua.script = new ArticleScript(article, config);
+});
+
+export { ScriptConverter, ArticleScript, ZH_CONVERT_CONFIG };
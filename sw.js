@@ -0,0 +1,198 @@
+/**
+ * Service Worker for Sigua.io
+ * - App shell (pages, styles, scripts) is precached per CACHE_VERSION
+ * - Scripts, styles and static/data/*.json are served stale-while-revalidate,
+ *   so a deploy reaches returning visitors on their next load without a
+ *   version bump; bump it to drop files no longer in the shell
+ * - Images are served stale-while-revalidate from a size-capped cache
+ * - Pages are fetched network-first, falling back to the cached copy and
+ *   then to offline.html
+ *
+ * Download API and mirror requests are cross-origin and never cached
+ * here; the last resolved URL per platform is kept by download.js.
+ */
+
+const CACHE_VERSION = 'v7';
+const SHELL_CACHE = `sigua-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `sigua-images-${CACHE_VERSION}`;
+const IMAGE_CACHE_LIMIT = 60;
+const OFFLINE_PAGE = 'offline.html';
+
+const SHELL_FILES = [
+    'index.html',
+    OFFLINE_PAGE,
+    'login-guide.html',
+    'registration-guide.html',
+    'pricing-guide.html',
+    'pc-download-guide.html',
+    'favicon.ico',
+    'static/css/style.min.css',
+    'static/css/custom.css',
+    'static/css/style.css',
+    'static/css/theme.css',
+    'static/css/screen.min.css',
+    'static/js/analytics.js',
+    'static/js/app-shell.js',
+    'static/js/attribution.js',
+    'static/js/download.js',
+    'static/js/download-errors.js',
+    'static/js/download-qr.js',
+    'static/js/event-bus.js',
+    'static/js/faq.js',
+    'static/js/faq-schema.js',
+    'static/js/i18n.js',
+    'static/js/images.js',
+    'static/js/install.js',
+    'static/js/locales/zh-CN.js',
+    'static/js/locales/zh-TW.js',
+    'static/js/locales/en.js',
+    'static/js/navigation.js',
+    'static/js/platform.js',
+    'static/js/qrcode.js',
+    'static/js/reading.js',
+    'static/js/reveal.js',
+    'static/js/router.js',
+    'static/js/scroll-spy.js',
+    'static/js/search.js',
+    'static/js/search-tokens.js',
+    'static/js/styles.js',
+    'static/js/spa.js',
+    'static/js/sw-register.js',
+    'static/js/theme.js',
+    'static/js/toast.js',
+    'static/js/zh-convert.js',
+    'static/js/zh-convert-table.js',
+    'static/js/jquery.min.js',
+    'static/js/jquery-migrate.min.js',
+    'static/picture/logo.png',
+    'static/picture/download.png'
+];
+
+// Cached when present; a missing file does not fail the install
+const OPTIONAL_FILES = [
+    'static/data/search-index.json',
+    'static/data/images.json',
+    'static/css/components.css',
+    'manifest.webmanifest'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        await Promise.all(OPTIONAL_FILES.map(file => cache.add(file).catch(() => {})));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, IMAGE_CACHE];
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('sigua-') && !keep.includes(key))
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(event, request, IMAGE_CACHE, IMAGE_CACHE_LIMIT));
+    } else if (isRevalidated(url)) {
+        event.respondWith(staleWhileRevalidate(event, request, SHELL_CACHE));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Files that change with every deploy: code, styles and generated data
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isRevalidated(url) {
+    return url.pathname.includes('/static/data/') || /\.(js|css|webmanifest)$/.test(url.pathname);
+}
+
+/**
+ * Pages: fresh when online, cached or offline.html when not
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cache = await caches.open(SHELL_CACHE);
+        const path = new URL(request.url).pathname;
+        // The site root is served by index.html
+        const fallback = path.endsWith('/') ? `${path}index.html` : null;
+
+        return (await cache.match(request, { ignoreSearch: true })) ||
+            (fallback && await cache.match(fallback)) ||
+            (await cache.match(OFFLINE_PAGE));
+    }
+}
+
+/**
+ * Other shell files (icons, fonts): precached, so the network is only hit
+ * for anything else
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+/**
+ * Answer from cache at once and refresh it in the background
+ * @param {FetchEvent} event
+ * @param {Request} request
+ * @param {string} cacheName - Cache to answer from and refresh
+ * @param {number} [limit] - Entries to keep, oldest dropped first
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, request, cacheName, limit) {
+    const cache = await caches.open(cacheName);
+    // Precached shell entries are stored without the query string
+    const cached = await cache.match(request, { ignoreSearch: cacheName === SHELL_CACHE });
+
+    const update = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            if (limit) await trimCache(cache, limit);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+/**
+ * Drop the oldest entries beyond a limit
+ * @param {Cache} cache
+ * @param {number} limit
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,209 @@
+/**
+ * Funnel and section events in static/js/analytics.js, recorded through
+ * a MemoryCollector
+ *
+ * Run: node --test test/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// IntersectionObserver stand-in: tests deliver the records themselves
+class FakeObserver {
+    static instances = [];
+
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.observed = new Set();
+        FakeObserver.instances.push(this);
+    }
+
+    observe(element) {
+        this.observed.add(element);
+    }
+
+    unobserve(element) {
+        this.observed.delete(element);
+    }
+
+    /**
+     * @param {Object} target - Observed element
+     * @param {boolean} isIntersecting
+     */
+    fire(target, isIntersecting = true) {
+        this.callback([{ target, isIntersecting }]);
+    }
+}
+
+const SECTIONS = [{ id: 'features' }, { id: 'faq' }];
+
+globalThis.window = globalThis;
+window.addEventListener = () => {};
+globalThis.location = { pathname: '/index.html' };
+globalThis.IntersectionObserver = FakeObserver;
+Object.defineProperty(globalThis, 'navigator', { value: {}, configurable: true, writable: true });
+globalThis.localStorage = {
+    store: new Map(),
+    getItem(key) { return this.store.has(key) ? this.store.get(key) : null; },
+    setItem(key, value) { this.store.set(key, String(value)); },
+    removeItem(key) { this.store.delete(key); }
+};
+globalThis.document = Object.assign(new EventTarget(), {
+    readyState: 'complete',
+    visibilityState: 'visible',
+    querySelectorAll: selector => selector === 'section[id]' ? SECTIONS : [],
+    // Enough for the style registry download.js loads
+    querySelector: () => null,
+    createElement: () => ({ dataset: {} }),
+    head: { appendChild() {} }
+});
+// The page-wide instance created on import stays silent
+window.SIGUA_ANALYTICS_CONFIG = { requireConsent: true };
+
+const { Analytics, MemoryCollector } = await import('../static/js/analytics.js');
+const { DownloadManager } = await import('../static/js/download.js');
+
+let instances = 0;
+
+/**
+ * Fresh instance that stops listening once the test ends
+ * @param {Object} t - Test context
+ * @param {Object} config - Analytics configuration
+ */
+function setup(t, config = {}) {
+    FakeObserver.instances = [];
+    const collector = new MemoryCollector();
+    const analytics = new Analytics({
+        flushInterval: 60000,
+        consentKey: `test-consent-${++instances}`,
+        ...config
+    }, collector);
+    t.after(() => analytics.setConsent(false));
+    return { analytics, collector, observer: FakeObserver.instances[0] };
+}
+
+function emit(type, detail) {
+    document.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+/**
+ * @param {Array<Object>} events
+ * @returns {Array<Object>} Events without their timestamps
+ */
+function payloads(events) {
+    return events.map(({ ts, ...event }) => event);
+}
+
+beforeEach(() => {
+    navigator.doNotTrack = undefined;
+});
+
+test('download lifecycle events become funnel events', (t) => {
+    const { analytics, collector } = setup(t);
+
+    const button = { classList: { contains: name => name === 'download-btn--pc' } };
+    emit('download:start', { deviceType: 'pc', button });
+    emit('download:hop', { deviceType: 'pc', resolver: 'api', outcome: 'error', duration: 120, error: { type: 'timeout' } });
+    emit('download:resolved', { deviceType: 'pc', resolver: 'mirror', version: '2.1.0' });
+    emit('download:error', { deviceType: 'mobile', error: { type: 'http', code: 'HTTP_503', details: { status: 503 } } });
+    analytics.flush();
+
+    assert.deepEqual(payloads(collector.events), [
+        { name: 'download_click', page: '/index.html', platform: 'pc', source: 'pc' },
+        { name: 'resolver_hop', page: '/index.html', platform: 'pc', resolver: 'api', outcome: 'error', duration: 120, error: 'timeout' },
+        { name: 'download_resolved', page: '/index.html', platform: 'pc', resolver: 'mirror', version: '2.1.0' },
+        { name: 'download_failed', page: '/index.html', platform: 'mobile', error: 'http', code: 'HTTP_503', status: 503 }
+    ]);
+    assert.equal(collector.batches, 1);
+});
+
+test('clicks with no build for the platform count as failed downloads', async (t) => {
+    navigator.userAgent = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+    t.after(() => { navigator.userAgent = undefined; });
+    const { analytics, collector } = setup(t);
+    const manager = new DownloadManager();
+    manager.showUnavailable = () => {};
+
+    const button = { classList: { contains: name => name === 'download-btn--mobile' } };
+    assert.equal(await manager.download('mobile', button), null);
+    analytics.flush();
+
+    assert.deepEqual(payloads(collector.events), [
+        { name: 'download_click', page: '/index.html', platform: 'mobile', source: 'mobile' },
+        { name: 'download_failed', page: '/index.html', platform: 'mobile', error: 'unavailable', os: 'ios' }
+    ]);
+});
+
+test('install and FAQ events are recorded with their payloads', (t) => {
+    const { analytics, collector } = setup(t);
+
+    emit('install:shown', { method: 'prompt' });
+    emit('install:choice', { method: 'prompt', outcome: 'accepted' });
+    emit('install:installed', { method: 'prompt' });
+    emit('faq:open', { slug: 'pricing' });
+    analytics.flush();
+
+    assert.deepEqual(payloads(collector.find('app_install')), [
+        { name: 'app_install', page: '/index.html', step: 'shown', method: 'prompt' },
+        { name: 'app_install', page: '/index.html', step: 'choice', method: 'prompt', outcome: 'accepted' },
+        { name: 'app_install', page: '/index.html', step: 'installed', method: 'prompt' }
+    ]);
+    assert.deepEqual(payloads(collector.find('faq_open')), [
+        { name: 'faq_open', page: '/index.html', slug: 'pricing' }
+    ]);
+});
+
+test('a section is reported once when it reaches the middle of the viewport', (t) => {
+    const { analytics, collector, observer } = setup(t);
+
+    // A band of the viewport, so sections taller than the screen still count
+    assert.equal(observer.options.rootMargin, '-40% 0px -40% 0px');
+    assert.equal(observer.options.threshold, undefined);
+    assert.deepEqual([...observer.observed], SECTIONS);
+
+    observer.fire(SECTIONS[0], false);
+    observer.fire(SECTIONS[0]);
+    observer.fire(SECTIONS[0]);
+    observer.fire(SECTIONS[1]);
+    analytics.flush();
+
+    assert.deepEqual(payloads(collector.find('section_view')), [
+        { name: 'section_view', page: '/index.html', section: 'features' },
+        { name: 'section_view', page: '/index.html', section: 'faq' }
+    ]);
+    assert.equal(observer.observed.size, 0);
+});
+
+test('full batches are sent without waiting for the timer', (t) => {
+    const { analytics, collector } = setup(t, { batchSize: 2 });
+
+    emit('faq:open', { slug: 'login' });
+    emit('faq:open', { slug: 'register' });
+
+    assert.equal(collector.batches, 1);
+    assert.equal(collector.events.length, 2);
+});
+
+test('nothing is recorded under Do-Not-Track', (t) => {
+    navigator.doNotTrack = '1';
+    const { analytics, collector } = setup(t);
+
+    emit('faq:open', { slug: 'pricing' });
+    analytics.flush();
+
+    assert.deepEqual(collector.events, []);
+});
+
+test('nothing is recorded before consent when consent is required', (t) => {
+    const { analytics, collector } = setup(t, { requireConsent: true });
+
+    emit('faq:open', { slug: 'pricing' });
+    analytics.setConsent(true);
+    emit('faq:open', { slug: 'support' });
+    analytics.flush();
+
+    assert.deepEqual(payloads(collector.events), [
+        { name: 'faq_open', page: '/index.html', slug: 'support' }
+    ]);
+});
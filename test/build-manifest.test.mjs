@@ -0,0 +1,63 @@
+/**
+ * Installability of the manifest written by scripts/build-manifest.mjs
+ *
+ * Run: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    ICONS,
+    createManifest,
+    assertInstallable,
+    decodePng,
+    encodePng,
+    resize
+} from '../scripts/build-manifest.mjs';
+
+const read = (file) => readFileSync(new URL(`../${file}`, import.meta.url));
+
+test('the manifest built from index.html has 192px, 512px and maskable icons', () => {
+    const manifest = createManifest(read('index.html').toString('utf8'));
+
+    assert.doesNotThrow(() => assertInstallable(manifest));
+    assert.deepEqual(manifest.icons.map(icon => `${icon.sizes} ${icon.purpose}`), [
+        '192x192 any',
+        '512x512 any',
+        '512x512 maskable'
+    ]);
+});
+
+test('a manifest without both required sizes is refused', () => {
+    const html = read('index.html').toString('utf8');
+    const single = createManifest(html, [{ src: 'static/picture/logo.png', size: 216, purpose: 'any' }]);
+    const maskableOnly = createManifest(html, [
+        { src: 'icon-192.png', size: 192, purpose: 'any' },
+        { src: 'icon-512.png', size: 512, purpose: 'maskable' }
+    ]);
+
+    assert.throws(() => assertInstallable(single), /192x192 or 512x512/);
+    assert.throws(() => assertInstallable(maskableOnly), /512x512/);
+});
+
+test('the committed manifest and icons match the build', () => {
+    const manifest = JSON.parse(read('manifest.webmanifest'));
+
+    assert.doesNotThrow(() => assertInstallable(manifest));
+    assert.deepEqual(manifest.icons.map(icon => icon.src), ICONS.map(icon => icon.src));
+    manifest.icons.forEach(icon => {
+        const { width, height } = decodePng(read(icon.src));
+        assert.equal(`${width}x${height}`, icon.sizes, icon.src);
+    });
+});
+
+test('resized icons survive a PNG round trip', () => {
+    const image = resize(decodePng(read('static/picture/logo.png')), 48);
+    const decoded = decodePng(encodePng(image));
+
+    assert.equal(decoded.width, 48);
+    assert.deepEqual(decoded.pixels, image.pixels);
+    // The rounded corners stay transparent
+    assert.equal(decoded.pixels[3], 0);
+});
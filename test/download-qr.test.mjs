@@ -0,0 +1,59 @@
+/**
+ * Campaign parameters in the page URL encoded by static/js/download-qr.js
+ *
+ * Run: node --test test/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.window = globalThis;
+globalThis.location = { href: 'https://sigua.io/index.html?lang=en#download', search: '' };
+globalThis.localStorage = {
+    store: new Map(),
+    getItem(key) { return this.store.has(key) ? this.store.get(key) : null; },
+    setItem(key, value) { this.store.set(key, String(value)); },
+    removeItem(key) { this.store.delete(key); }
+};
+// No QR containers: only the URL is under test
+globalThis.document = Object.assign(new EventTarget(), {
+    querySelectorAll: () => []
+});
+
+const { attribution } = await import('../static/js/attribution.js');
+const { DownloadQR } = await import('../static/js/download-qr.js');
+
+/**
+ * @returns {Object} Query parameters of the encoded page URL
+ */
+function pageParams() {
+    const url = new URL(new DownloadQR().getPageUrl());
+    assert.equal(url.origin + url.pathname + url.hash, 'https://sigua.io/index.html');
+    return Object.fromEntries(url.searchParams);
+}
+
+beforeEach(() => {
+    attribution.clear();
+});
+
+test('an untracked visit gets the QR tracking defaults', () => {
+    assert.deepEqual(pageParams(), { utm_source: 'qr', utm_medium: 'website' });
+});
+
+test('a captured campaign replaces the defaults entirely', () => {
+    attribution.capture('?utm_source=newsletter&utm_medium=email&utm_campaign=spring');
+
+    assert.deepEqual(pageParams(), { utm_source: 'newsletter', utm_medium: 'email', utm_campaign: 'spring' });
+});
+
+test('a partial capture is not filled in from the defaults', () => {
+    attribution.capture('?utm_source=google');
+
+    assert.deepEqual(pageParams(), { utm_source: 'google' });
+});
+
+test('parameters that are never forwarded leave the defaults in place', () => {
+    attribution.capture('?utm_term=chat+app');
+
+    assert.deepEqual(pageParams(), { utm_source: 'qr', utm_medium: 'website' });
+});
@@ -0,0 +1,131 @@
+/**
+ * User agent corpus for static/js/platform.js
+ *
+ * Run: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlatformDetector } from '../static/js/platform.js';
+
+// [name, user agent, maxTouchPoints, expected { os, formFactor, arch }]
+const USER_AGENTS = [
+    ['Windows 11 Chrome',
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36', 0,
+        { os: 'windows', formFactor: 'desktop', arch: 'x64' }],
+    ['Windows 32-bit Firefox',
+        'Mozilla/5.0 (Windows NT 10.0; rv:115.0) Gecko/20100101 Firefox/115.0', 0,
+        { os: 'windows', formFactor: 'desktop', arch: 'unknown' }],
+    ['Windows on ARM Edge',
+        'Mozilla/5.0 (Windows NT 10.0; ARM64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36 Edg/124.0.0.0', 0,
+        { os: 'windows', formFactor: 'desktop', arch: 'arm64' }],
+    ['Windows Phone',
+        'Mozilla/5.0 (Windows Phone 10.0; Android 6.0.1; Microsoft; Lumia 950) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/52.0.2743.116 Mobile Safari/537.36 Edge/15.15063', 0,
+        { os: 'windows', formFactor: 'mobile', arch: 'unknown' }],
+    ['macOS Safari',
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15', 0,
+        { os: 'macos', formFactor: 'desktop', arch: 'unknown' }],
+    ['iPhone Safari',
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1', 5,
+        { os: 'ios', formFactor: 'mobile', arch: 'arm64' }],
+    ['iPad Safari (mobile site)',
+        'Mozilla/5.0 (iPad; CPU OS 12_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/12.1.2 Mobile/15E148 Safari/604.1', 5,
+        { os: 'ios', formFactor: 'tablet', arch: 'arm64' }],
+    ['iPadOS Safari in desktop mode',
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Safari/605.1.15', 5,
+        { os: 'ios', formFactor: 'tablet', arch: 'arm64' }],
+    ['Android phone Chrome',
+        'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36', 5,
+        { os: 'android', formFactor: 'mobile', arch: 'arm64' }],
+    ['Android tablet Chrome',
+        'Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36', 5,
+        { os: 'android', formFactor: 'tablet', arch: 'arm64' }],
+    ['Android tablet Firefox',
+        'Mozilla/5.0 (Android 13; Tablet; rv:125.0) Gecko/125.0 Firefox/125.0', 5,
+        { os: 'android', formFactor: 'tablet', arch: 'arm64' }],
+    ['ChromeOS x86',
+        'Mozilla/5.0 (X11; CrOS x86_64 15633.69.0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.6045.212 Safari/537.36', 0,
+        { os: 'chromeos', formFactor: 'desktop', arch: 'x64' }],
+    ['ChromeOS ARM',
+        'Mozilla/5.0 (X11; CrOS aarch64 15633.69.0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.6045.212 Safari/537.36', 5,
+        { os: 'chromeos', formFactor: 'desktop', arch: 'arm64' }],
+    ['Linux desktop Firefox',
+        'Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0', 0,
+        { os: 'linux', formFactor: 'desktop', arch: 'x64' }],
+    ['Linux 32-bit',
+        'Mozilla/5.0 (X11; Linux i686; rv:109.0) Gecko/20100101 Firefox/115.0', 0,
+        { os: 'linux', formFactor: 'desktop', arch: 'x86' }],
+    ['Googlebot',
+        'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)', 0,
+        { os: 'unknown', formFactor: 'desktop', arch: 'unknown' }],
+    ['Bingbot',
+        'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)', 0,
+        { os: 'unknown', formFactor: 'desktop', arch: 'unknown' }],
+    ['curl',
+        'curl/8.4.0', 0,
+        { os: 'unknown', formFactor: 'desktop', arch: 'unknown' }],
+    ['Empty user agent',
+        '', 0,
+        { os: 'unknown', formFactor: 'desktop', arch: 'unknown' }]
+];
+
+USER_AGENTS.forEach(([name, ua, maxTouchPoints, expected]) => {
+    test(`parseUserAgent: ${name}`, () => {
+        const { os, formFactor, arch, source } = PlatformDetector.parseUserAgent(ua, maxTouchPoints);
+        assert.deepEqual({ os, formFactor, arch }, expected);
+        assert.equal(source, 'ua');
+    });
+});
+
+// [name, hints, UA fallback, expected { os, formFactor, arch }]
+const CLIENT_HINTS = [
+    ['Windows on ARM behind a frozen x64 UA',
+        { platform: 'Windows', architecture: 'arm', bitness: '64', mobile: false },
+        { os: 'windows', formFactor: 'desktop', arch: 'x64' },
+        { os: 'windows', formFactor: 'desktop', arch: 'arm64' }],
+    ['Windows x86 32-bit',
+        { platform: 'Windows', architecture: 'x86', bitness: '32', mobile: false },
+        { os: 'windows', formFactor: 'desktop', arch: 'x64' },
+        { os: 'windows', formFactor: 'desktop', arch: 'x86' }],
+    ['Apple silicon Mac',
+        { platform: 'macOS', architecture: 'arm', bitness: '64', mobile: false },
+        { os: 'macos', formFactor: 'desktop', arch: 'unknown' },
+        { os: 'macos', formFactor: 'desktop', arch: 'arm64' }],
+    ['Android tablet (not mobile)',
+        { platform: 'Android', architecture: '', bitness: '', mobile: false },
+        { os: 'android', formFactor: 'mobile', arch: 'arm64' },
+        { os: 'android', formFactor: 'tablet', arch: 'arm64' }],
+    ['ChromeOS',
+        { platform: 'Chrome OS', architecture: 'x86', bitness: '64', mobile: false },
+        { os: 'chromeos', formFactor: 'desktop', arch: 'x64' },
+        { os: 'chromeos', formFactor: 'desktop', arch: 'x64' }],
+    ['Unknown platform keeps the UA result',
+        { platform: 'Fuchsia', architecture: '', bitness: '', mobile: false },
+        { os: 'unknown', formFactor: 'desktop', arch: 'unknown' },
+        { os: 'unknown', formFactor: 'desktop', arch: 'unknown' }]
+];
+
+CLIENT_HINTS.forEach(([name, hints, fallback, expected]) => {
+    test(`fromClientHints: ${name}`, () => {
+        const { os, formFactor, arch, source } = PlatformDetector.fromClientHints(hints, { ...fallback, source: 'ua' });
+        assert.deepEqual({ os, formFactor, arch }, expected);
+        assert.equal(source, 'client-hints');
+    });
+});
+
+test('detect falls back to the UA when client hints fail', async () => {
+    const detector = new PlatformDetector({
+        userAgent: USER_AGENTS[0][1],
+        maxTouchPoints: 0,
+        userAgentData: { mobile: false, getHighEntropyValues: () => Promise.reject(new Error('denied')) }
+    });
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+        const result = await detector.detect();
+        assert.equal(result.source, 'ua');
+        assert.equal(result.os, 'windows');
+    } finally {
+        console.warn = originalWarn;
+    }
+});
@@ -0,0 +1,63 @@
+/**
+ * Guards and redirects in static/js/router.js
+ *
+ * Run: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.window = globalThis;
+globalThis.location = { href: 'https://sigua.io/', hash: '' };
+globalThis.history = {
+    state: null,
+    entries: [],
+    pushState(state, title, url) { this.state = state; this.entries.push(url); },
+    replaceState(state, title, url) { this.state = state; this.entries[Math.max(0, this.entries.length - 1)] = url; }
+};
+
+const { Router } = await import('../static/js/router.js');
+
+/**
+ * Router with home, login and register sections and a not-found route
+ * @returns {Object} { router, rendered } where rendered lists the entered paths
+ */
+function setup() {
+    const rendered = [];
+    const router = new Router({ render: to => rendered.push(to.path) })
+        .add({ name: 'home', path: '/home', section: 'home' })
+        .add({ name: 'login', path: '/login', section: 'login' })
+        .add({ name: 'register', path: '/register', section: 'register' })
+        .setDefault('home')
+        .setNotFound({ name: 'not-found', section: 'not-found' });
+    return { router, rendered };
+}
+
+test('a guard redirect enters the route it names', async () => {
+    const { router, rendered } = setup();
+    router.beforeEach(to => (to.route.name === 'register' ? '/login' : true));
+
+    await router.navigate('/register');
+
+    assert.equal(router.current.route.name, 'login');
+    assert.deepEqual(rendered, ['/login']);
+});
+
+test('guards redirecting to each other end on not-found', async (t) => {
+    const { router, rendered } = setup();
+    const errors = t.mock.method(console, 'error', () => {});
+    let calls = 0;
+    router.beforeEach(to => {
+        calls++;
+        if (to.route.name === 'login') return '/register';
+        if (to.route.name === 'register') return '/login';
+        return true;
+    });
+
+    await router.navigate('/login');
+
+    assert.equal(router.current.route.name, 'not-found');
+    assert.deepEqual(rendered, [router.current.path]);
+    assert.equal(calls, 6);
+    assert.equal(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,62 @@
+/**
+ * Simplified to Traditional conversion in static/js/zh-convert.js
+ *
+ * Run: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// zh-convert.js registers its styles and waits for DOMContentLoaded on import
+globalThis.window = globalThis;
+globalThis.document = Object.assign(new EventTarget(), {
+    querySelector: () => null,
+    createElement: () => ({ dataset: {} }),
+    head: { appendChild() {} }
+});
+
+const { ScriptConverter, ZH_CONVERT_CONFIG } = await import('../static/js/zh-convert.js');
+
+const converter = new ScriptConverter({ brands: ZH_CONVERT_CONFIG.brands });
+
+// [Simplified, Traditional]
+const PHRASES = [
+    ['发送', '發送'],
+    ['头发', '頭髮'],
+    ['理发店', '理髮店'],
+    ['准许', '准許'],
+    ['批准', '批准'],
+    ['标准', '標準'],
+    ['划算', '划算'],
+    ['计划', '計劃'],
+    ['账号', '帳號'],
+    ['注册', '註冊'],
+    ['注意', '注意'],
+    ['台湾', '台灣'],
+    ['台北', '台北'],
+    ['平台', '平台'],
+    ['后台', '後台'],
+    ['台风', '颱風'],
+    ['柜台', '櫃檯'],
+    ['干净', '乾淨'],
+    ['干燥', '乾燥'],
+    ['干什么', '幹什麼'],
+    ['干扰', '干擾'],
+    ['若干', '若干'],
+    ['干', '干']
+];
+
+PHRASES.forEach(([simplified, traditional]) => {
+    test(`${simplified} → ${traditional}`, () => {
+        assert.equal(converter.toTraditional(simplified), traditional);
+    });
+});
+
+test('a paragraph keeps brands and links and applies phrases first', () => {
+    const simplified = '丝瓜聊天是一个社交平台。注册账号后，发送语音前请确认网络环境干净、无干扰；'
+        + '理发店的预约也可以在后台处理。详见 https://sigua.io/login-guide.html 。';
+    const traditional = '丝瓜聊天是一個社交平台。註冊帳號後，發送語音前請確認網絡環境乾淨、無干擾；'
+        + '理髮店的預約也可以在後台處理。詳見 https://sigua.io/login-guide.html 。';
+
+    assert.equal(converter.toTraditional(simplified), traditional);
+});